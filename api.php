@@ -11,9 +11,78 @@ require_once 'php/ParseException.php';
 require_once 'php/Validator.php';
 require_once 'php/SecurityHandler.php';
 require_once 'php/Note.php';
+require_once 'php/ResponseCache.php';
+require_once 'php/RateLimiter.php';
 require_once 'php/Client.php';
 require_once 'php/ErrorResponse.php';
 
+/**
+ * クライアントIPごとに連続して受け付けるリクエスト数と、1秒あたりの補充数
+ */
+const CLIENT_RATE_LIMIT_CAPACITY = 60;
+const CLIENT_RATE_LIMIT_REFILL = 1.0;
+
+/**
+ * ActivityPubクライアントの生成
+ * force_refresh が true の場合はキャッシュの有効期間を無視してリモートに問い合わせる
+ *
+ * @param array $requestData
+ * @param RateLimiter $rateLimiter
+ * @return Client
+ */
+function createClient(array $requestData, RateLimiter $rateLimiter): Client
+{
+    return new Client(
+        timeout: 10,
+        allowedDomains: [], // 全ドメイン許可（必要に応じて制限可能）
+        cache: new ResponseCache(ResponseCache::defaultDirectory()),
+        forceRefresh: ($requestData['force_refresh'] ?? false) === true,
+        rateLimiter: $rateLimiter
+    );
+}
+
+/**
+ * クライアントが進捗のストリーミング（Accept: application/x-ndjson）を要求している場合、
+ * NDJSONのレスポンスを開始して進捗を1行ずつ送信する
+ * ストリーミング中はクライアントの切断を検出し、以降のリモートへのリクエストを中止する
+ *
+ * @param Client $client
+ * @return void
+ */
+function attachProgressStream(Client $client): void
+{
+    if (!str_contains($_SERVER['HTTP_ACCEPT'] ?? '', 'application/x-ndjson')) {
+        return;
+    }
+    
+    ErrorResponse::startStream();
+    $client->setProgressListener(function (string $stage, ?int $current, ?int $total): void {
+        ErrorResponse::progress([
+            'stage' => $stage,
+            'current' => $current,
+            'total' => $total
+        ]);
+    });
+    $client->setCancellationCheck(fn(): bool => ErrorResponse::isClientDisconnected());
+}
+
+/**
+ * クライアントIPごとのレート制限（上限を超えた場合は429を返して終了）
+ *
+ * @param RateLimiter $rateLimiter
+ * @return void
+ */
+function enforceClientRateLimit(RateLimiter $rateLimiter): void
+{
+    // リバースプロキシ配下で使う場合は、信頼できるプロキシのヘッダーからIPを取得するよう変更する
+    $clientIp = $_SERVER['REMOTE_ADDR'] ?? 'unknown';
+    
+    $wait = $rateLimiter->acquire('client:' . $clientIp, CLIENT_RATE_LIMIT_CAPACITY, CLIENT_RATE_LIMIT_REFILL);
+    if ($wait > 0) {
+        ErrorResponse::output('RATE_LIMITED', 'Too many requests from this client', 429, (int)ceil($wait));
+    }
+}
+
 // セキュリティヘッダーとCORS設定
 SecurityHandler::setSecurityHeaders();
 SecurityHandler::setCorsHeaders();
@@ -30,6 +99,10 @@ try {
         ErrorResponse::output('JSON_ERROR', 'Empty request body');
     }
 
+    // クライアントごとのレート制限
+    $rateLimiter = new RateLimiter(RateLimiter::defaultDirectory());
+    enforceClientRateLimit($rateLimiter);
+
     // 入力データの検証とサニタイズ
     $requestData = SecurityHandler::validateJsonInput($jsonInput);
     
@@ -42,10 +115,8 @@ try {
         $maxPosts = min(max($maxPosts, 1), 50); // 1-50の範囲に制限
         
         // ActivityPubクライアントの初期化
-        $client = new Client(
-            timeout: 10,
-            allowedDomains: [] // 全ドメイン許可（必要に応じて制限可能）
-        );
+        $client = createClient($requestData, $rateLimiter);
+        attachProgressStream($client);
         
         // 投稿データの取得
         $result = $client->fetch($actorUrl, $maxPosts);
@@ -62,6 +133,62 @@ try {
         // 成功レスポンス
         ErrorResponse::success($responseData);
         
+    } elseif ($requestData['action'] === 'fetch_more_posts') {
+        $cursor = trim($requestData['cursor']);
+        $maxPosts = isset($requestData['max_posts']) ? (int)$requestData['max_posts'] : 20;
+        
+        // 最大投稿数の制限
+        $maxPosts = min(max($maxPosts, 1), 50); // 1-50の範囲に制限
+        
+        // ActivityPubクライアントの初期化
+        $client = createClient($requestData, $rateLimiter);
+        attachProgressStream($client);
+        
+        // カーソル位置から続きの投稿データを取得
+        $result = $client->fetchPage($cursor, $maxPosts);
+        
+        // 成功レスポンス
+        ErrorResponse::success([
+            'posts' => array_map(fn($note) => $note->toArray(), $result['posts']),
+            'meta' => $result['meta']
+        ]);
+        
+    } elseif ($requestData['action'] === 'fetch_thread') {
+        $postUrl = trim($requestData['post_url']);
+        
+        // ActivityPubクライアントの初期化
+        $client = createClient($requestData, $rateLimiter);
+        attachProgressStream($client);
+        
+        // スレッド（返信先と返信）の取得
+        $result = $client->fetchThread($postUrl);
+        
+        // 成功レスポンス
+        ErrorResponse::success([
+            'thread' => [
+                'ancestors' => array_map(fn($note) => $note->toArray(), $result['ancestors']),
+                'post' => $result['post']->toArray(),
+                'descendants' => array_map(
+                    fn($entry) => array_merge($entry['note']->toArray(), ['depth' => $entry['depth']]),
+                    $result['descendants']
+                )
+            ],
+            'meta' => $result['meta']
+        ]);
+        
+    } elseif ($requestData['action'] === 'probe_actor') {
+        $actorUrl = trim($requestData['actor_url']);
+        
+        // ActivityPubクライアントの初期化
+        $client = createClient($requestData, $rateLimiter);
+        attachProgressStream($client);
+        
+        // Actorの取得確認（投稿は取得しない）
+        $result = $client->probeActor($actorUrl);
+        
+        // 成功レスポンス
+        ErrorResponse::success($result);
+        
     } else {
         ErrorResponse::output('INVALID_ACTION', 'Unsupported action');
     }
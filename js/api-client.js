@@ -23,57 +23,163 @@ const ApiClient = {
     
     /**
      * 投稿データの取得
+     * forceRefresh: true の場合はサーバー側キャッシュの有効期間を無視して再取得
+     * onProgress を渡した場合は進捗イベント（{ stage, current, total }）を受け取りながら取得する
+     * signal（AbortSignal）を中止すると CANCELLED のエラーで終了する
      */
-    async fetchPosts(actorUrl, maxPosts = 20) {
+    async fetchPosts(actorUrl, maxPosts = 20, { forceRefresh = false, onProgress = null, signal = null } = {}) {
         const requestData = {
             action: 'fetch_posts',
             actor_url: actorUrl,
             max_posts: maxPosts
         };
         
+        if (forceRefresh) {
+            requestData.force_refresh = true;
+        }
+        
         // リクエストの前処理
         const processedData = this.preprocessRequest(requestData);
         
         // APIリクエスト実行
-        const responseData = await this.makeRequest(processedData);
+        const responseData = await this.makeRequest(processedData, 0, { onProgress, signal });
         
         // レスポンスの後処理
         return this.postprocessResponse(responseData);
     },
     
+    /**
+     * 続きの投稿データの取得（ページネーション）
+     */
+    async fetchMorePosts(cursor, maxPosts = 20, { onProgress = null, signal = null } = {}) {
+        const requestData = {
+            action: 'fetch_more_posts',
+            cursor: cursor,
+            max_posts: maxPosts
+        };
+        
+        const processedData = this.preprocessRequest(requestData);
+        const responseData = await this.makeRequest(processedData, 0, { onProgress, signal });
+        
+        return this.postprocessResponse(responseData);
+    },
+    
+    /**
+     * スレッド（返信先と返信）の取得
+     */
+    async fetchThread(postUrl, { forceRefresh = false, onProgress = null, signal = null } = {}) {
+        const requestData = {
+            action: 'fetch_thread',
+            post_url: postUrl
+        };
+        
+        if (forceRefresh) {
+            requestData.force_refresh = true;
+        }
+        
+        const processedData = this.preprocessRequest(requestData);
+        const responseData = await this.makeRequest(processedData, 0, { onProgress, signal });
+        
+        return this.postprocessResponse(responseData);
+    },
+    
+    /**
+     * Actorの取得確認（サンプルURLの確認用、投稿は取得しない）
+     * 応答時間を測るため、キャッシュを使わず、再試行と保存済みレスポンスでの代替も行わない
+     */
+    async probeActor(actorUrl, { signal = null } = {}) {
+        const requestData = {
+            action: 'probe_actor',
+            actor_url: actorUrl,
+            force_refresh: true
+        };
+        
+        const processedData = this.preprocessRequest(requestData);
+        return this.makeRequest(processedData, 0, { signal, retry: false });
+    },
+    
     /**
      * APIリクエストの実行
+     * 最後の再試行ではService Workerに保存済みのレスポンスでの代替を許可し、
+     * 代替された場合は meta.offline_copy に保存日時を設定する
+     * onProgress を渡した場合は進捗のストリーミング（NDJSON）を要求し、
+     * 進捗を受け取るたびにタイムアウトを延長する（結果は最終行で受け取る）
+     * signal が中止された場合は再試行せず、CANCELLED のエラーを投げる
+     * signal を渡した場合も、サーバーが切断を検出して取得を止められるようストリーミングを要求する
+     * retry: false の場合はタイムアウト・ネットワークエラーでも再試行しない
      */
-    async makeRequest(data, retryCount = 0) {
+    async makeRequest(data, retryCount = 0, { onProgress = null, signal = null, retry = true } = {}) {
+        let timeoutId = null;
+        const controller = new AbortController();
+        const abortFromCaller = () => controller.abort();
+        
+        if (signal?.aborted) {
+            throw this.createCancelledError();
+        }
+        signal?.addEventListener('abort', abortFromCaller);
+        
         try {
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+            const startTimeout = () => {
+                clearTimeout(timeoutId);
+                timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
+            };
+            startTimeout();
+            
+            const headers = {
+                'Content-Type': 'application/json',
+                'Accept': onProgress || signal ? 'application/x-ndjson, application/json' : 'application/json'
+            };
+            
+            if (retry && retryCount >= this.config.retryAttempts) {
+                headers['X-Offline-Fallback'] = '1';
+            }
             
             const response = await fetch(this.config.apiUrl, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'Accept': 'application/json'
-                },
+                headers: headers,
                 body: JSON.stringify(data),
                 signal: controller.signal
             });
             
-            clearTimeout(timeoutId);
-            
             if (!response.ok) {
-                throw new Error(`HTTP Error: ${response.status} ${response.statusText}`);
+                clearTimeout(timeoutId);
+                
+                // APIのエラーレスポンス（JSON）はそのまま返す（429はリトライせず、retry_after をErrorHandlerで表示）
+                const errorData = await this.readErrorResponse(response);
+                throw errorData || new Error(`HTTP Error: ${response.status} ${response.statusText}`);
             }
             
-            const responseData = await response.json();
+            const isStream = (response.headers.get('Content-Type') || '').includes('application/x-ndjson');
+            const responseData = isStream
+                ? await this.readProgressStream(response, event => {
+                    startTimeout();
+                    if (onProgress) onProgress(event);
+                })
+                : await response.json();
+            
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abortFromCaller);
             
             if (!responseData.success) {
                 throw responseData;
             }
             
+            const offlineCopy = response.headers.get('X-Offline-Copy');
+            if (offlineCopy && responseData.data) {
+                responseData.data.meta = { ...responseData.data.meta, offline_copy: offlineCopy };
+            }
+            
             return responseData.data;
             
         } catch (error) {
+            clearTimeout(timeoutId);
+            signal?.removeEventListener('abort', abortFromCaller);
+            
+            // 呼び出し元による中止（新しいリクエストへの切り替え・キャンセルボタン）
+            if (signal?.aborted) {
+                throw this.createCancelledError();
+            }
+            
             // タイムアウトエラーの場合
             if (error.name === 'AbortError') {
                 const timeoutError = {
@@ -85,10 +191,10 @@ const ApiClient = {
                 };
                 
                 // リトライ処理
-                if (retryCount < this.config.retryAttempts) {
+                if (retry && retryCount < this.config.retryAttempts) {
                     console.log(`タイムアウト - リトライ ${retryCount + 1}/${this.config.retryAttempts}`);
                     await this.delay(this.config.retryDelay * (retryCount + 1));
-                    return this.makeRequest(data, retryCount + 1);
+                    return this.makeRequest(data, retryCount + 1, { onProgress, signal });
                 }
                 
                 throw timeoutError;
@@ -105,10 +211,10 @@ const ApiClient = {
                 };
                 
                 // リトライ処理
-                if (retryCount < this.config.retryAttempts) {
+                if (retry && retryCount < this.config.retryAttempts) {
                     console.log(`ネットワークエラー - リトライ ${retryCount + 1}/${this.config.retryAttempts}`);
                     await this.delay(this.config.retryDelay * (retryCount + 1));
-                    return this.makeRequest(data, retryCount + 1);
+                    return this.makeRequest(data, retryCount + 1, { onProgress, signal });
                 }
                 
                 throw networkError;
@@ -119,6 +225,94 @@ const ApiClient = {
         }
     },
     
+    /**
+     * 呼び出し元による中止を表すエラー
+     */
+    createCancelledError() {
+        return {
+            error: {
+                code: 'CANCELLED',
+                message: 'Request cancelled',
+                user_message: 'リクエストを中止しました。'
+            }
+        };
+    },
+    
+    /**
+     * 呼び出し元による中止で終了したか
+     */
+    isCancelled(error) {
+        return error?.error?.code === 'CANCELLED';
+    },
+    
+    /**
+     * 進捗のストリーミングレスポンス（NDJSON）の読み込み
+     * {"type":"progress", ...} の行ごとに onEvent を呼び、{"type":"result", ...} の行を通常のレスポンスとして返す
+     */
+    async readProgressStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let result = null;
+        
+        const handleLine = (line) => {
+            if (!line.trim()) return;
+            
+            const { type, ...event } = JSON.parse(line);
+            if (type === 'progress') {
+                onEvent(event);
+            } else if (type === 'result') {
+                result = event;
+            }
+        };
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(handleLine);
+        }
+        handleLine(buffer + decoder.decode());
+        
+        // 結果の行が届く前に接続が切れた場合
+        if (!result) {
+            throw {
+                error: {
+                    code: 'NETWORK_ERROR',
+                    message: 'Progress stream ended before the result',
+                    user_message: 'ネットワーク接続に失敗しました。しばらく時間をおいてから再試行してください。'
+                }
+            };
+        }
+        
+        return result;
+    },
+    
+    /**
+     * エラーレスポンスの読み込み（JSONでない場合は null）
+     */
+    async readErrorResponse(response) {
+        try {
+            const data = await response.json();
+            if (!data || !data.error || !data.error.code) {
+                return null;
+            }
+            
+            // 本文に retry_after がない場合は Retry-After ヘッダーを使う
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+            if (data.error.retry_after === undefined && retryAfter > 0) {
+                data.error.retry_after = retryAfter;
+            }
+            
+            return data;
+        } catch (error) {
+            return null;
+        }
+    },
+    
     /**
      * 遅延処理（リトライ用）
      */
@@ -134,12 +328,22 @@ const ApiClient = {
         if (data.actor_url) {
             data.actor_url = data.actor_url.trim();
             
-            // HTTPSでない場合は警告
-            if (!data.actor_url.startsWith('https://')) {
+            // HTTPSでない場合は警告（ハンドルはサーバー側でWebFinger解決される）
+            if (!data.actor_url.startsWith('https://') && !AppUtils.isAcctHandle(data.actor_url)) {
                 console.warn('HTTP URLが指定されました。HTTPSが推奨されます。');
             }
         }
         
+        // 投稿URLの正規化
+        if (data.post_url) {
+            data.post_url = String(data.post_url).trim();
+        }
+        
+        // カーソルの正規化
+        if (data.cursor) {
+            data.cursor = String(data.cursor).trim();
+        }
+        
         // 最大投稿数の制限
         if (data.max_posts) {
             data.max_posts = Math.min(Math.max(parseInt(data.max_posts) || 20, 1), 50);
@@ -157,6 +361,27 @@ const ApiClient = {
             data.posts = data.posts.map(post => this.normalizePost(post));
         }
         
+        // スレッドデータの正規化（返信の深さは保持）
+        if (data.thread) {
+            data.thread = {
+                ancestors: Array.isArray(data.thread.ancestors)
+                    ? data.thread.ancestors.map(post => this.normalizePost(post))
+                    : [],
+                post: data.thread.post ? this.normalizePost(data.thread.post) : null,
+                descendants: Array.isArray(data.thread.descendants)
+                    ? data.thread.descendants.map(post => ({
+                        ...this.normalizePost(post),
+                        depth: Math.max(parseInt(post.depth) || 1, 1)
+                    }))
+                    : []
+            };
+        }
+        
+        // Actor表示名のカスタム絵文字
+        if (data.actor_info) {
+            data.actor_info.emojis = this.normalizeEmojis(data.actor_info.emojis);
+        }
+        
         // メタ情報の追加
         if (data.meta) {
             data.meta.processed_at = new Date().toISOString();
@@ -177,26 +402,110 @@ const ApiClient = {
             formatted_date: post.formatted_date || '',
             url: post.url || null,
             attachments: Array.isArray(post.attachments) ? post.attachments : [],
-            author: post.author || {}
+            author: post.author || {},
+            in_reply_to: post.in_reply_to || null,
+            boosted_by: post.boosted_by || null,
+            content_warning: typeof post.content_warning === 'string' ? post.content_warning : '',
+            sensitive: post.sensitive === true,
+            emojis: this.normalizeEmojis(post.emojis),
+            mentions: Array.isArray(post.mentions) ? post.mentions : [],
+            hashtags: Array.isArray(post.hashtags) ? post.hashtags : [],
+            poll: this.normalizePoll(post.poll),
+            object_type: post.object_type || 'Note',
+            kind: ['note', 'article', 'event'].includes(post.kind) ? post.kind : 'note',
+            title: typeof post.title === 'string' ? post.title : '',
+            excerpt: typeof post.excerpt === 'string' ? post.excerpt : '',
+            event: post.event && typeof post.event === 'object' ? {
+                start_time: post.event.start_time || null,
+                end_time: post.event.end_time || null,
+                location: post.event.location || null,
+                location_url: post.event.location_url || null
+            } : null,
+            language: typeof post.language === 'string' ? post.language : null
         };
         
         // 添付ファイルの正規化
         normalizedPost.attachments = normalizedPost.attachments.map(attachment => ({
             type: attachment.type || 'unknown',
             url: attachment.url || '',
-            alt_text: attachment.alt_text || ''
+            media_type: attachment.media_type || null,
+            alt_text: attachment.alt_text || '',
+            width: Number.isInteger(attachment.width) && attachment.width > 0 ? attachment.width : null,
+            height: Number.isInteger(attachment.height) && attachment.height > 0 ? attachment.height : null,
+            poster: attachment.poster || null
         }));
         
+        // メンション・ハッシュタグの正規化
+        normalizedPost.mentions = normalizedPost.mentions
+            .filter(mention => mention && typeof mention.href === 'string')
+            .map(mention => ({
+                name: typeof mention.name === 'string' ? mention.name : '',
+                href: mention.href
+            }));
+        normalizedPost.hashtags = normalizedPost.hashtags
+            .filter(hashtag => hashtag && typeof hashtag.name === 'string' && hashtag.name !== '')
+            .map(hashtag => ({
+                name: hashtag.name,
+                href: typeof hashtag.href === 'string' ? hashtag.href : null
+            }));
+        
         // 投稿者情報の正規化
         normalizedPost.author = {
             id: normalizedPost.author.id || '',
             name: normalizedPost.author.name || 'Unknown User',
-            avatar: normalizedPost.author.avatar || null
+            avatar: normalizedPost.author.avatar || null,
+            emojis: this.normalizeEmojis(normalizedPost.author.emojis)
         };
         
+        // ブースト情報の正規化（authorは元の投稿者）
+        if (normalizedPost.boosted_by) {
+            normalizedPost.boosted_by = {
+                id: normalizedPost.boosted_by.id || '',
+                name: normalizedPost.boosted_by.name || 'Unknown User',
+                avatar: normalizedPost.boosted_by.avatar || null,
+                emojis: this.normalizeEmojis(normalizedPost.boosted_by.emojis),
+                boosted_at: normalizedPost.boosted_by.boosted_at || null
+            };
+        }
+        
         return normalizedPost;
     },
     
+    /**
+     * 投票データの正規化
+     */
+    normalizePoll(poll) {
+        if (!poll || !Array.isArray(poll.options) || poll.options.length === 0) return null;
+        
+        const toCount = value => Number.isInteger(value) && value >= 0 ? value : null;
+        
+        return {
+            multiple: poll.multiple === true,
+            options: poll.options.map(option => ({
+                title: typeof option.title === 'string' ? option.title : '',
+                votes_count: toCount(option.votes_count)
+            })),
+            votes_count: toCount(poll.votes_count) ?? 0,
+            voters_count: toCount(poll.voters_count),
+            end_time: poll.end_time || null,
+            closed: poll.closed === true
+        };
+    },
+    
+    /**
+     * カスタム絵文字リストの正規化
+     */
+    normalizeEmojis(emojis) {
+        if (!Array.isArray(emojis)) return [];
+        
+        return emojis
+            .filter(emoji => emoji && typeof emoji.shortcode === 'string' && typeof emoji.url === 'string')
+            .map(emoji => ({
+                shortcode: emoji.shortcode,
+                url: emoji.url
+            }));
+    },
+    
     /**
      * 接続テスト
      */
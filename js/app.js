@@ -14,6 +14,9 @@ document.addEventListener('DOMContentLoaded', () => {
         // JavaScript無効対応の警告を削除
         removeNoScriptWarnings();
         
+        // オフライン対応
+        registerServiceWorker();
+        
         console.log('アプリケーション初期化完了');
         
     } catch (error) {
@@ -31,9 +34,18 @@ function initializeModules() {
         { name: 'LoadingManager', init: () => LoadingManager.init() },
         { name: 'ErrorHandler', init: () => ErrorHandler.init() },
         { name: 'SampleUrls', init: () => SampleUrls.init() },
+        { name: 'SampleHealth', init: () => SampleHealth.init() },
         { name: 'PostRenderer', init: () => PostRenderer.init() },
+        { name: 'PostFilter', init: () => PostFilter.init() },
+        { name: 'ThreadView', init: () => ThreadView.init() },
+        { name: 'Lightbox', init: () => Lightbox.init() },
+        { name: 'WatchList', init: () => WatchList.init() },
+        { name: 'HistoryPanel', init: () => HistoryPanel.init() },
+        { name: 'OfflineCache', init: () => OfflineCache.init() },
         { name: 'ApiClient', init: () => ApiClient.init() },
-        { name: 'FormHandler', init: () => FormHandler.init() }
+        { name: 'FormHandler', init: () => FormHandler.init() },
+        // URLで指定された表示の復元のため最後に初期化
+        { name: 'Router', init: () => Router.init() }
     ];
     
     initOrder.forEach(module => {
@@ -50,6 +62,18 @@ function initializeModules() {
     });
 }
 
+/**
+ * Service Workerの登録（HTTPSまたはlocalhostでのみ利用可能）
+ */
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    if (AppUtils.getConfig('app.serviceWorker', true) === false) return;
+    
+    navigator.serviceWorker.register('sw.js')
+        .then(registration => console.log('Service Worker 登録完了:', registration.scope))
+        .catch(error => console.warn('Service Worker 登録エラー:', error));
+}
+
 /**
  * NoScript警告の削除
  */
@@ -115,11 +139,14 @@ const AppUtils = {
     
     /**
      * 安全なHTML文字列生成
+     * 属性値（"..." / '...'）に埋め込んでも抜け出せないよう、引用符もエスケープする
      */
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        return div.innerHTML
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     },
     
     /**
@@ -178,6 +205,16 @@ const AppUtils = {
         }
     },
     
+    /**
+     * ハンドル（@user@host / acct:user@host）形式のチェック
+     */
+    isAcctHandle(value) {
+        if (typeof value !== 'string') return false;
+        
+        const handle = value.trim().replace(/^acct:/i, '');
+        return /^@?[a-z0-9_][a-z0-9_.-]*@(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i.test(handle);
+    },
+    
     /**
      * デバウンス関数
      */
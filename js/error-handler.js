@@ -12,6 +12,7 @@ const ErrorHandler = {
     
     lastError: null,
     retryCallback: null,
+    countdownTimer: null,
     
     /**
      * 初期化
@@ -36,9 +37,15 @@ const ErrorHandler = {
      * エラー表示
      */
     show(error, retryCallback = null) {
+        this.stopCountdown();
         this.lastError = error;
         this.retryCallback = retryCallback;
         
+        // レート制限の場合は再試行できる時刻を記録（カウントダウン表示用）
+        if (error?.error?.code === 'RATE_LIMITED' && error.error.retry_after > 0 && !error.error.retry_at) {
+            error.error.retry_at = Date.now() + error.error.retry_after * 1000;
+        }
+        
         // エラーメッセージの設定
         const message = this.formatErrorMessage(error);
         if (this.elements.errorMessage) {
@@ -61,13 +68,66 @@ const ErrorHandler = {
         // アクセシビリティ対応
         this.announceError(message);
         
+        if (this.getRetryRemaining(error) > 0) {
+            this.startCountdown(error);
+        }
+        
         console.error('エラー表示:', error);
     },
     
+    /**
+     * 再試行できるまでのカウントダウン（終わるまで再試行ボタンを無効にする）
+     */
+    startCountdown(error) {
+        const update = () => {
+            const remaining = this.getRetryRemaining(error);
+            
+            if (this.elements.errorMessage) {
+                this.elements.errorMessage.innerHTML = this.formatErrorMessage(error);
+            }
+            if (this.elements.retryButton) {
+                this.elements.retryButton.disabled = remaining > 0;
+            }
+            
+            if (remaining <= 0) {
+                this.stopCountdown();
+            }
+        };
+        
+        update();
+        this.countdownTimer = setInterval(update, 1000);
+    },
+    
+    /**
+     * カウントダウンの停止
+     */
+    stopCountdown() {
+        if (this.countdownTimer) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+        }
+        
+        if (this.elements.retryButton) {
+            this.elements.retryButton.disabled = false;
+        }
+    },
+    
+    /**
+     * 再試行できるまでの残り秒数（レート制限以外は0）
+     */
+    getRetryRemaining(error) {
+        const retryAt = error?.error?.retry_at;
+        if (!retryAt) return 0;
+        
+        return Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+    },
+    
     /**
      * エラー非表示
      */
     hide() {
+        this.stopCountdown();
+        
         if (this.elements.errorSection) {
             AppUtils.toggleElement(this.elements.errorSection, false);
         }
@@ -139,11 +199,14 @@ const ErrorHandler = {
     getErrorMessageFromCode(errorMessage) {
         const errorMappings = {
             'INVALID_URL': 'URLの形式が正しくありません。HTTPSのURLを入力してください。',
+            'WEBFINGER_ERROR': 'ユーザー名からアカウントを見つけられませんでした。',
             'NETWORK_ERROR': 'ネットワーク接続に失敗しました。しばらく時間をおいてから再試行してください。',
             'HTTP_ERROR': 'データの取得に失敗しました。URLが正しいか確認してください。',
             'TIMEOUT_ERROR': '応答時間が長すぎます。しばらく時間をおいてから再試行してください。',
+            'RATE_LIMITED': 'リクエストが集中しているため、一時的に取得を制限しています。',
             'JSON_ERROR': 'データの解析に失敗しました。',
             'INVALID_ACTOR': '有効なActivityPubユーザーではありません。',
+            'PROFILE_PAGE_UNRESOLVED': 'プロフィールページのURLからActivityPubユーザーを特定できませんでした。',
             'NO_OUTBOX': '投稿データが見つかりません。',
             'fetch': 'ネットワーク接続に失敗しました。'
         };
@@ -171,11 +234,23 @@ const ErrorHandler = {
                     suggestions.push('URLが https:// で始まっていることを確認してください');
                     suggestions.push('例: https://mastodon.social/users/ユーザー名');
                     break;
+                case 'WEBFINGER_ERROR':
+                    suggestions.push('ハンドルが @ユーザー名@ドメイン の形式になっているか確認してください');
+                    suggestions.push('ユーザーのプロフィールページのURLを直接入力してみてください');
+                    break;
                 case 'NETWORK_ERROR':
                 case 'TIMEOUT_ERROR':
                     suggestions.push('インターネット接続を確認してください');
                     suggestions.push('しばらく時間をおいてから再試行してください');
                     break;
+                case 'RATE_LIMITED': {
+                    const remaining = this.getRetryRemaining(error);
+                    suggestions.push(remaining > 0
+                        ? `あと${remaining}秒で再試行できます`
+                        : '再試行できます');
+                    suggestions.push('短時間に多くのアカウントやスレッドを表示すると、取得が制限されることがあります');
+                    break;
+                }
                 case 'HTTP_ERROR':
                     suggestions.push('URLが正しいか確認してください');
                     suggestions.push('ユーザーが存在するか確認してください');
@@ -184,6 +259,10 @@ const ErrorHandler = {
                     suggestions.push('ActivityPub対応のSNS（Mastodon、Misskeyなど）のユーザーURLを入力してください');
                     suggestions.push('サンプルURLを参考にしてください');
                     break;
+                case 'PROFILE_PAGE_UNRESOLVED':
+                    suggestions.push('プロフィールページではなく、ActorのURL（例: https://misskey.io/users/ID）を入力してください');
+                    suggestions.push('@ユーザー名@ドメイン 形式のハンドルで試してみてください');
+                    break;
                 case 'NO_OUTBOX':
                     suggestions.push('ユーザーが投稿を公開していない可能性があります');
                     suggestions.push('別のユーザーで試してみてください');
@@ -223,7 +302,8 @@ const ErrorHandler = {
     hideOtherSections() {
         const sectionsToHide = [
             'loading-section',
-            'results-section'
+            'results-section',
+            'thread-section'
         ];
         
         sectionsToHide.forEach(sectionId => {
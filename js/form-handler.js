@@ -13,6 +13,9 @@ const FormHandler = {
     isProcessing: false,
     lastSubmittedUrl: null,
     
+    // 取得中のリクエストの AbortController（新しい送信・キャンセルで中止する）
+    abortController: null,
+    
     /**
      * 初期化
      */
@@ -61,9 +64,7 @@ const FormHandler = {
         document.addEventListener('keydown', (event) => {
             // Ctrl+Enter または Cmd+Enter で送信
             if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
-                if (!this.isProcessing) {
-                    this.handleSubmit();
-                }
+                this.handleSubmit();
             }
         });
     },
@@ -72,20 +73,18 @@ const FormHandler = {
      * バリデーション設定
      */
     setupValidation() {
-        // HTML5バリデーション属性の設定
-        this.elements.actorUrlInput.setAttribute('pattern', 'https://.*');
-        this.elements.actorUrlInput.setAttribute('title', 'HTTPSのURLを入力してください');
+        // HTML5バリデーション属性の設定（ハンドル入力を許可するため pattern は使わない）
+        this.elements.actorUrlInput.removeAttribute('pattern');
+        this.elements.actorUrlInput.setAttribute('title', 'HTTPSのURL、または @ユーザー名@ドメイン 形式のハンドルを入力してください');
     },
     
     /**
      * フォーム送信処理
+     * forceRefresh: true の場合は同じURLでも送信し、サーバー側キャッシュを使わずに取得する
+     * 前回取得した結果が保存されていれば先に表示し、取得に失敗した場合もそのまま表示を続ける
+     * 取得中に別のURLが送信された場合は、取得中のリクエストを中止して新しいリクエストに切り替える
      */
-    async handleSubmit() {
-        if (this.isProcessing) {
-            console.log('処理中のため送信をスキップ');
-            return;
-        }
-        
+    async handleSubmit({ forceRefresh = false } = {}) {
         const actorUrl = this.getActorUrl();
         
         // バリデーション
@@ -95,44 +94,132 @@ const FormHandler = {
             return;
         }
         
-        // 重複送信チェック
-        if (actorUrl === this.lastSubmittedUrl) {
+        // 重複送信チェック（取得中の同じURLを含む）
+        if (actorUrl === this.lastSubmittedUrl && !forceRefresh) {
             console.log('同じURLのため送信をスキップ');
             return;
         }
         
+        // 取得中のリクエスト（ウォッチリストを含む）を中止して置き換える
+        if (this.cancel()) {
+            console.log('取得中のリクエストを中止して切り替え:', actorUrl);
+        }
+        if (window.WatchList) {
+            WatchList.cancel();
+        }
+        
+        const controller = new AbortController();
+        const isCurrent = () => this.abortController === controller;
+        
+        this.abortController = controller;
         this.isProcessing = true;
         this.lastSubmittedUrl = actorUrl;
         
+        const cached = window.OfflineCache ? await OfflineCache.get(actorUrl) : null;
+        
         try {
-            // ローディング開始
-            LoadingManager.show('投稿データを取得しています...');
+            // 保存済みデータの読み込み中に別のURLが送信された場合
+            if (!isCurrent()) return;
+            
+            if (cached) {
+                // 保存済みのデータを表示したまま最新の投稿を取得
+                LoadingManager.hide();
+                PostRenderer.render(cached.data);
+                this.updateRoute(actorUrl);
+                PostRenderer.showOfflineBanner(cached.saved_at, actorUrl);
+                LoadingManager.updateButtonState(true);
+            } else {
+                // ローディング開始
+                LoadingManager.show('投稿データを取得しています...', {
+                    onCancel: () => this.cancel()
+                });
+            }
+            
+            // API呼び出し（進捗をプログレスバーに表示）
+            const data = await ApiClient.fetchPosts(actorUrl, AppUtils.getConfig('display.maxPosts', 20), {
+                forceRefresh,
+                onProgress: event => {
+                    if (isCurrent()) LoadingManager.showProgress(event);
+                },
+                signal: controller.signal
+            });
             
-            // API呼び出し
-            const data = await ApiClient.fetchPosts(actorUrl, AppUtils.getConfig('display.maxPosts', 20));
+            // 応答の直後に別のURLが送信された場合
+            if (!isCurrent()) return;
             
             // 結果表示
             PostRenderer.render(data);
+            this.updateRoute(actorUrl);
+            
+            // 接続できずService Workerに保存されていたレスポンスが返された場合
+            if (data.meta?.offline_copy) {
+                PostRenderer.showOfflineBanner(data.meta.offline_copy, actorUrl, {
+                    error: {
+                        code: 'NETWORK_ERROR',
+                        message: 'Served from service worker cache',
+                        user_message: 'ネットワーク接続に失敗しました。インターネット接続を確認してください。'
+                    }
+                });
+            }
             
             // 成功時の処理
             this.onSubmitSuccess(actorUrl, data);
             
         } catch (error) {
+            // 別のURLに切り替えられた場合は何も表示しない
+            if (!isCurrent()) return;
+            
+            if (ApiClient.isCancelled(error)) {
+                this.onSubmitCancel(actorUrl, cached);
+                return;
+            }
+            
             console.error('送信エラー:', error);
             
-            // エラー表示
-            ErrorHandler.show(error, () => this.handleRetry(actorUrl));
+            // エラー表示（保存済みのデータがあればそちらを表示し続ける）
+            if (cached) {
+                PostRenderer.showOfflineBanner(cached.saved_at, actorUrl, error);
+            } else {
+                ErrorHandler.show(error, () => this.handleRetry(actorUrl));
+            }
             
             // 失敗時の処理
             this.onSubmitError(actorUrl, error);
             
         } finally {
-            // ローディング終了
-            LoadingManager.hide();
-            this.isProcessing = false;
+            // ローディング終了（切り替え後のリクエストの表示は残す）
+            if (isCurrent()) {
+                LoadingManager.hide();
+                if (cached) {
+                    LoadingManager.updateButtonState(false);
+                }
+                this.abortController = null;
+                this.isProcessing = false;
+            }
         }
     },
     
+    /**
+     * 取得中のリクエストの中止
+     * @returns {boolean} 中止したリクエストがあったか
+     */
+    cancel() {
+        if (!this.abortController) return false;
+        
+        this.abortController.abort();
+        return true;
+    },
+    
+    /**
+     * 表示中のActorをキャッシュを使わずに取得し直す
+     */
+    refresh(actorUrl) {
+        if (!actorUrl) return;
+        
+        this.setActorUrl(actorUrl);
+        this.handleSubmit({ forceRefresh: true });
+    },
+    
     /**
      * 入力値変更処理
      */
@@ -176,7 +263,15 @@ const FormHandler = {
         if (!actorUrl) {
             return {
                 isValid: false,
-                message: 'URLを入力してください。'
+                message: 'URLまたはハンドルを入力してください。'
+            };
+        }
+        
+        // ハンドル形式（@user@host / acct:user@host）はサーバー側でWebFinger解決する
+        if (AppUtils.isAcctHandle(actorUrl)) {
+            return {
+                isValid: true,
+                message: ''
             };
         }
         
@@ -184,7 +279,7 @@ const FormHandler = {
         if (!AppUtils.isValidUrl(actorUrl)) {
             return {
                 isValid: false,
-                message: 'HTTPSで始まる有効なURLを入力してください。'
+                message: 'HTTPSで始まる有効なURL、または @ユーザー名@ドメイン 形式のハンドルを入力してください。'
             };
         }
         
@@ -286,17 +381,49 @@ const FormHandler = {
     onSubmitSuccess(actorUrl, data) {
         console.log('送信成功:', {
             url: actorUrl,
+            resolvedUrl: data.meta?.actor_url || actorUrl,
             posts: data.posts?.length || 0,
             actor: data.actor_info?.name || 'Unknown'
         });
         
         // 履歴保存（必要に応じて）
-        this.saveToHistory(actorUrl, data.actor_info);
+        this.saveToHistory(actorUrl, data.actor_info, data.meta?.actor_url);
+        
+        // オフライン時に表示できるよう保存（完了を待たない。保存済みのコピーが返された場合は上書きしない）
+        if (window.OfflineCache && !data.meta?.offline_copy) {
+            OfflineCache.put(actorUrl, data);
+        }
         
         // バリデーション状態をクリア
         this.clearValidationState();
     },
     
+    /**
+     * 表示したActorをアドレスバーに反映
+     */
+    updateRoute(actorUrl) {
+        if (window.Router) {
+            Router.recordActor(actorUrl);
+        }
+    },
+    
+    /**
+     * キャンセル時の処理
+     * 保存済みのデータを表示中ならそのまま再試行ボタンを表示し、それ以外は直前に表示していた結果に戻す
+     */
+    onSubmitCancel(actorUrl, cached) {
+        console.log('送信キャンセル:', actorUrl);
+        
+        // 同じURLをもう一度送信できるようにする
+        this.lastSubmittedUrl = null;
+        
+        if (cached) {
+            PostRenderer.showOfflineBanner(cached.saved_at, actorUrl, ApiClient.createCancelledError());
+        } else if (PostRenderer.elements.actorInfo?.innerHTML.trim()) {
+            PostRenderer.showResults();
+        }
+    },
+    
     /**
      * 送信失敗時の処理
      */
@@ -311,35 +438,11 @@ const FormHandler = {
     },
     
     /**
-     * 履歴への保存
+     * 履歴への保存（保存と一覧表示は HistoryPanel が担当）
      */
-    saveToHistory(actorUrl, actorInfo) {
-        try {
-            const history = AppUtils.storage.get('urlHistory', []);
-            
-            // 重複チェック
-            const existingIndex = history.findIndex(item => item.url === actorUrl);
-            if (existingIndex !== -1) {
-                // 既存の場合は削除（最新を先頭に追加するため）
-                history.splice(existingIndex, 1);
-            }
-            
-            // 新しいエントリを先頭に追加
-            history.unshift({
-                url: actorUrl,
-                name: actorInfo?.name || 'Unknown',
-                timestamp: new Date().toISOString()
-            });
-            
-            // 履歴の数を制限（最大10件）
-            if (history.length > 10) {
-                history.splice(10);
-            }
-            
-            AppUtils.storage.set('urlHistory', history);
-            
-        } catch (error) {
-            console.warn('履歴保存エラー:', error);
+    saveToHistory(actorUrl, actorInfo, resolvedUrl = null) {
+        if (window.HistoryPanel) {
+            HistoryPanel.record(actorUrl, actorInfo, resolvedUrl);
         }
     },
     
@@ -347,7 +450,7 @@ const FormHandler = {
      * 履歴の取得
      */
     getHistory() {
-        return AppUtils.storage.get('urlHistory', []);
+        return window.HistoryPanel ? HistoryPanel.getItems() : AppUtils.storage.get('urlHistory', []);
     },
     
     /**
@@ -390,6 +493,7 @@ const FormHandler = {
             this.elements.form.reset();
         }
         
+        this.cancel();
         this.clearValidationState();
         this.lastSubmittedUrl = null;
         this.isProcessing = false;
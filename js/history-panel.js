@@ -0,0 +1,396 @@
+/**
+ * HistoryPanel - 閲覧履歴
+ * 表示したActorの履歴（localStorage の urlHistory）の保存・一覧表示と、入力欄の候補表示を担当
+ */
+
+const HistoryPanel = {
+    elements: {
+        panel: null,
+        search: null,
+        list: null,
+        clearButton: null,
+        status: null,
+        actorUrlInput: null,
+        suggestions: null
+    },
+    
+    config: {
+        maxEntries: 50,
+        maxSuggestions: 8
+    },
+    
+    // 入力欄の候補（表示中の履歴）と選択中の位置
+    suggestionItems: [],
+    activeSuggestion: -1,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.elements.panel = document.getElementById('history-panel');
+        this.elements.search = document.getElementById('history-search');
+        this.elements.list = document.getElementById('history-list');
+        this.elements.clearButton = document.getElementById('history-clear-button');
+        this.elements.status = document.getElementById('history-status');
+        this.elements.actorUrlInput = document.getElementById('actor-url');
+        this.elements.suggestions = document.getElementById('actor-url-suggestions');
+        
+        this.config.maxEntries = AppUtils.getConfig('history.maxEntries', this.config.maxEntries);
+        this.config.maxSuggestions = AppUtils.getConfig('history.maxSuggestions', this.config.maxSuggestions);
+        
+        if (!this.elements.panel || !this.elements.list) {
+            console.warn('HistoryPanel: 必要な要素が見つかりません');
+            return;
+        }
+        
+        this.attachEventListeners();
+        this.setupAutocomplete();
+        this.render();
+        
+        console.log('HistoryPanel 初期化完了');
+    },
+    
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        if (this.elements.search) {
+            this.elements.search.addEventListener('input', () => this.render());
+        }
+        
+        if (this.elements.clearButton) {
+            this.elements.clearButton.addEventListener('click', () => this.clear());
+        }
+        
+        // 履歴からの表示・ピン留め・削除
+        this.elements.list.addEventListener('click', (event) => {
+            const openButton = event.target.closest('.history-open-button');
+            if (openButton) {
+                this.open(openButton.getAttribute('data-url'));
+                return;
+            }
+            
+            const pinButton = event.target.closest('.history-pin-button');
+            if (pinButton) {
+                this.togglePin(pinButton.getAttribute('data-url'));
+                return;
+            }
+            
+            const removeButton = event.target.closest('.history-remove-button');
+            if (removeButton) {
+                this.remove(removeButton.getAttribute('data-url'));
+            }
+        });
+        
+        // 別のタブでの変更を反映
+        window.addEventListener('storage', (event) => {
+            if (event.key === 'urlHistory') {
+                this.render();
+            }
+        });
+    },
+    
+    /**
+     * 保存済みの履歴の取得（ピン留めを先頭に、それぞれ新しい順）
+     */
+    getItems() {
+        const items = AppUtils.storage.get('urlHistory', []);
+        if (!Array.isArray(items)) return [];
+        
+        return items
+            .filter(item => item && typeof item.url === 'string')
+            .sort((a, b) => (!!b.pinned - !!a.pinned) || String(b.timestamp || '').localeCompare(String(a.timestamp || '')));
+    },
+    
+    /**
+     * 履歴の保存（ピン留めしていない履歴は上限を超えた古いものから削除）
+     */
+    saveItems(items) {
+        let unpinned = 0;
+        const kept = items.filter(item => item.pinned || ++unpinned <= this.config.maxEntries);
+        
+        AppUtils.storage.set('urlHistory', kept);
+        this.render();
+    },
+    
+    /**
+     * 表示したActorの記録（同じURLは最新の情報で置き換えて先頭に移動）
+     */
+    record(actorUrl, actorInfo, resolvedUrl = null) {
+        const items = this.getItems();
+        const existing = items.find(item => item.url === actorUrl);
+        const rest = items.filter(item => item.url !== actorUrl);
+        
+        const entry = {
+            url: actorUrl,
+            resolved_url: resolvedUrl || actorUrl,
+            name: actorInfo?.name || existing?.name || 'Unknown',
+            avatar: actorInfo?.avatar || existing?.avatar || null,
+            pinned: !!existing?.pinned,
+            timestamp: new Date().toISOString()
+        };
+        
+        this.saveItems([entry, ...rest]);
+    },
+    
+    /**
+     * ピン留めの切り替え（ピン留めした履歴は件数の上限で削除されない）
+     */
+    togglePin(url) {
+        let pinned = false;
+        const items = this.getItems().map(item => {
+            if (item.url !== url) return item;
+            pinned = !item.pinned;
+            return { ...item, pinned };
+        });
+        
+        this.saveItems(items);
+        this.announce(pinned ? 'ピン留めしました。' : 'ピン留めを解除しました。');
+    },
+    
+    /**
+     * 履歴の削除
+     */
+    remove(url) {
+        const items = this.getItems().filter(item => item.url !== url);
+        this.saveItems(items);
+        this.announce('履歴から削除しました。');
+    },
+    
+    /**
+     * 履歴をすべて削除（ピン留めを含む）
+     */
+    clear() {
+        if (this.getItems().length === 0) return;
+        if (!window.confirm('閲覧履歴をすべて削除しますか？（ピン留めした履歴も削除されます）')) return;
+        
+        AppUtils.storage.remove('urlHistory');
+        this.render();
+        this.announce('閲覧履歴をすべて削除しました。');
+    },
+    
+    /**
+     * 履歴のActorを表示
+     */
+    open(url) {
+        if (!url) return;
+        
+        this.closeSuggestions();
+        FormHandler.setActorUrl(url);
+        FormHandler.handleSubmit();
+    },
+    
+    /**
+     * 検索語に一致する履歴（表示名・入力したURL・解決後のURL）
+     */
+    search(query, items = this.getItems()) {
+        const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) return items;
+        
+        return items.filter(item => {
+            const text = [item.name, item.url, item.resolved_url].filter(Boolean).join(' ').toLowerCase();
+            return terms.every(term => text.includes(term));
+        });
+    },
+    
+    /**
+     * 履歴一覧のレンダリング
+     */
+    render() {
+        if (!this.elements.list) return;
+        
+        const allItems = this.getItems();
+        const items = this.search(this.elements.search?.value, allItems);
+        
+        if (this.elements.clearButton) {
+            this.elements.clearButton.disabled = allItems.length === 0;
+        }
+        
+        if (allItems.length === 0) {
+            this.elements.list.innerHTML = '<li class="history-empty">表示したアカウントはまだありません。</li>';
+            return;
+        }
+        
+        if (items.length === 0) {
+            this.elements.list.innerHTML = '<li class="history-empty">一致する履歴はありません。</li>';
+            return;
+        }
+        
+        this.elements.list.innerHTML = items.map(item => this.renderItem(item)).join('');
+    },
+    
+    /**
+     * 履歴1件のHTML生成
+     */
+    renderItem(item) {
+        const name = AppUtils.escapeHtml(item.name || item.url);
+        const url = AppUtils.escapeHtml(item.url);
+        const avatar = item.avatar
+            ? `<img src="${AppUtils.escapeHtml(item.avatar)}" alt="" class="history-avatar" loading="lazy">`
+            : '<span class="history-avatar history-avatar-placeholder" aria-hidden="true">👤</span>';
+        const visitedAt = item.timestamp
+            ? `<time class="history-time" datetime="${AppUtils.escapeHtml(item.timestamp)}" title="${AppUtils.escapeHtml(AppUtils.formatDate(item.timestamp))}">${AppUtils.escapeHtml(AppUtils.getRelativeTime(item.timestamp))}</time>`
+            : '';
+        
+        return `
+            <li class="history-item${item.pinned ? ' is-pinned' : ''}">
+                <button type="button" class="history-open-button" data-url="${url}" title="${url}">
+                    ${avatar}
+                    <span class="history-text">
+                        <span class="history-name">${name}</span>
+                        <span class="history-url">${url}</span>
+                    </span>
+                </button>
+                ${visitedAt}
+                <button type="button" class="history-pin-button" data-url="${url}" aria-pressed="${!!item.pinned}" aria-label="${name}をピン留め">${item.pinned ? 'ピン留め中' : 'ピン留め'}</button>
+                <button type="button" class="history-remove-button" data-url="${url}" aria-label="${name}を履歴から削除">削除</button>
+            </li>
+        `;
+    },
+    
+    /**
+     * 入力欄の候補表示（ARIA combobox）の設定
+     */
+    setupAutocomplete() {
+        const input = this.elements.actorUrlInput;
+        const listbox = this.elements.suggestions;
+        if (!input || !listbox) return;
+        
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', listbox.id);
+        input.setAttribute('aria-expanded', 'false');
+        
+        input.addEventListener('input', () => this.updateSuggestions());
+        input.addEventListener('blur', () => this.closeSuggestions());
+        
+        input.addEventListener('keydown', (event) => {
+            const isOpen = this.suggestionItems.length > 0;
+            
+            if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+                event.preventDefault();
+                if (!isOpen) {
+                    this.updateSuggestions({ showAll: true });
+                    return;
+                }
+                // 入力欄（-1）と候補を順に巡回する
+                const step = event.key === 'ArrowDown' ? 1 : -1;
+                const positions = this.suggestionItems.length + 1;
+                this.setActiveSuggestion((this.activeSuggestion + 1 + step + positions) % positions - 1);
+                
+            } else if (event.key === 'Enter') {
+                // 候補を選択中のEnterは送信せずに入力欄へ反映し、それ以外は候補を閉じて送信する
+                if (isOpen && this.activeSuggestion >= 0 && !event.ctrlKey && !event.metaKey) {
+                    event.preventDefault();
+                    this.selectSuggestion(this.activeSuggestion);
+                } else {
+                    this.closeSuggestions();
+                }
+                
+            } else if (event.key === 'Escape' && isOpen) {
+                event.preventDefault();
+                this.closeSuggestions();
+            }
+        });
+        
+        // クリックで入力欄のフォーカスが外れないよう mousedown で選択する
+        listbox.addEventListener('mousedown', (event) => {
+            const option = event.target.closest('[role="option"]');
+            if (option) {
+                event.preventDefault();
+                this.selectSuggestion(Number(option.getAttribute('data-index')));
+            }
+        });
+    },
+    
+    /**
+     * 入力中の文字列に一致する履歴を候補として表示
+     */
+    updateSuggestions({ showAll = false } = {}) {
+        const value = this.elements.actorUrlInput.value.trim();
+        if (!value && !showAll) {
+            this.closeSuggestions();
+            return;
+        }
+        
+        // 入力済みのURLと完全に一致する候補だけの場合は表示しない
+        const items = this.search(value)
+            .filter(item => item.url !== value)
+            .slice(0, this.config.maxSuggestions);
+        
+        if (items.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+        
+        this.suggestionItems = items;
+        this.activeSuggestion = -1;
+        this.elements.suggestions.innerHTML = items.map((item, index) => `
+            <li id="actor-url-suggestion-${index}" class="history-suggestion" role="option" aria-selected="false" data-index="${index}">
+                <span class="history-name">${AppUtils.escapeHtml(item.name || item.url)}</span>
+                <span class="history-url">${AppUtils.escapeHtml(item.url)}</span>
+            </li>
+        `).join('');
+        this.elements.suggestions.hidden = false;
+        this.elements.actorUrlInput.setAttribute('aria-expanded', 'true');
+        this.elements.actorUrlInput.removeAttribute('aria-activedescendant');
+    },
+    
+    /**
+     * 候補の選択位置の変更（-1で入力欄に戻る）
+     */
+    setActiveSuggestion(index) {
+        this.activeSuggestion = index;
+        
+        this.elements.suggestions.querySelectorAll('[role="option"]').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === index));
+        });
+        
+        if (index >= 0) {
+            this.elements.actorUrlInput.setAttribute('aria-activedescendant', `actor-url-suggestion-${index}`);
+            this.elements.suggestions.querySelector(`#actor-url-suggestion-${index}`)?.scrollIntoView({ block: 'nearest' });
+        } else {
+            this.elements.actorUrlInput.removeAttribute('aria-activedescendant');
+        }
+    },
+    
+    /**
+     * 候補の選択（入力欄に反映するのみで、送信は利用者が行う）
+     */
+    selectSuggestion(index) {
+        const item = this.suggestionItems[index];
+        if (!item) return;
+        
+        FormHandler.setActorUrl(item.url);
+        this.closeSuggestions();
+    },
+    
+    /**
+     * 候補を閉じる
+     */
+    closeSuggestions() {
+        this.suggestionItems = [];
+        this.activeSuggestion = -1;
+        
+        if (this.elements.suggestions) {
+            this.elements.suggestions.hidden = true;
+            this.elements.suggestions.innerHTML = '';
+        }
+        if (this.elements.actorUrlInput) {
+            this.elements.actorUrlInput.setAttribute('aria-expanded', 'false');
+            this.elements.actorUrlInput.removeAttribute('aria-activedescendant');
+        }
+    },
+    
+    /**
+     * 操作結果の通知
+     */
+    announce(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+};
+
+// グローバルに公開
+window.HistoryPanel = HistoryPanel;
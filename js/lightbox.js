@@ -0,0 +1,281 @@
+/**
+ * Lightbox - 画像の拡大表示
+ * 添付画像をクリックすると全画面で表示し、同じ投稿（またはタイムライン全体）の画像を順に閲覧できる
+ */
+
+const Lightbox = {
+    elements: {
+        lightbox: null,
+        image: null,
+        caption: null,
+        counter: null,
+        prevButton: null,
+        nextButton: null,
+        closeButton: null,
+        scopeToggle: null,
+        appContainer: null
+    },
+    
+    settings: {
+        // true の場合は表示中の投稿一覧・スレッド全体の画像を順に表示
+        timelineScope: false
+    },
+    
+    items: [],
+    currentIndex: 0,
+    triggerElement: null,
+    returnFocusElement: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.elements.lightbox = document.getElementById('lightbox');
+        this.elements.image = document.getElementById('lightbox-image');
+        this.elements.caption = document.getElementById('lightbox-caption');
+        this.elements.counter = document.getElementById('lightbox-counter');
+        this.elements.prevButton = document.getElementById('lightbox-prev');
+        this.elements.nextButton = document.getElementById('lightbox-next');
+        this.elements.closeButton = document.getElementById('lightbox-close');
+        this.elements.scopeToggle = document.getElementById('lightbox-scope-toggle');
+        this.elements.appContainer = document.querySelector('.container');
+        
+        if (!this.elements.lightbox || !this.elements.image) {
+            console.warn('Lightbox: 必要な要素が見つかりません');
+            return;
+        }
+        
+        // 表示設定の読み込み
+        this.settings.timelineScope = AppUtils.storage.get('lightboxTimelineScope', false) === true;
+        
+        this.attachEventListeners();
+        
+        console.log('Lightbox 初期化完了');
+    },
+    
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        // 添付画像のクリック（投稿一覧・スレッドの両方で使うため document で委譲）
+        document.addEventListener('click', (event) => {
+            const link = event.target.closest('.attachment-image-link');
+            if (!link) return;
+            
+            // 修飾キー付き・中クリックは通常のリンクとして開く
+            if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+                return;
+            }
+            
+            event.preventDefault();
+            this.open(link);
+        });
+        
+        this.elements.prevButton?.addEventListener('click', () => this.show(this.currentIndex - 1));
+        this.elements.nextButton?.addEventListener('click', () => this.show(this.currentIndex + 1));
+        this.elements.closeButton?.addEventListener('click', () => this.close());
+        
+        // 背景クリックで閉じる
+        this.elements.lightbox.addEventListener('click', (event) => {
+            if (event.target.hasAttribute('data-lightbox-close')) {
+                this.close();
+            }
+        });
+        
+        this.elements.lightbox.addEventListener('keydown', (event) => this.handleKeydown(event));
+        
+        // 「タイムライン全体の画像を表示」設定
+        if (this.elements.scopeToggle) {
+            this.elements.scopeToggle.checked = this.settings.timelineScope;
+            this.elements.scopeToggle.addEventListener('change', () => {
+                this.setTimelineScope(this.elements.scopeToggle.checked);
+            });
+        }
+        
+        // 画像の読み込み失敗時
+        this.elements.image.addEventListener('error', () => {
+            this.elements.caption.textContent = '画像を読み込めませんでした';
+        });
+    },
+    
+    /**
+     * キーボード操作
+     */
+    handleKeydown(event) {
+        switch (event.key) {
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+            case 'ArrowLeft':
+                event.preventDefault();
+                this.show(this.currentIndex - 1);
+                break;
+            case 'ArrowRight':
+                event.preventDefault();
+                this.show(this.currentIndex + 1);
+                break;
+            case 'Home':
+                event.preventDefault();
+                this.show(0);
+                break;
+            case 'End':
+                event.preventDefault();
+                this.show(this.items.length - 1);
+                break;
+            case 'Tab':
+                this.trapFocus(event);
+                break;
+        }
+    },
+    
+    /**
+     * ライトボックスを開く
+     */
+    open(triggerLink) {
+        this.triggerElement = triggerLink;
+        this.items = this.collectItems(triggerLink);
+        
+        const index = this.items.findIndex(item => item.link === triggerLink);
+        if (index === -1) return;
+        
+        // 投稿一覧側は操作できないようにし、閉じたときにフォーカスを戻す
+        this.returnFocusElement = triggerLink;
+        if (this.elements.appContainer) {
+            this.elements.appContainer.inert = true;
+        }
+        document.body.classList.add('lightbox-open');
+        
+        this.elements.lightbox.hidden = false;
+        this.show(index);
+        this.elements.closeButton?.focus();
+    },
+    
+    /**
+     * ライトボックスを閉じる
+     */
+    close() {
+        if (!this.isOpen()) return;
+        
+        this.elements.lightbox.hidden = true;
+        this.elements.image.removeAttribute('src');
+        this.items = [];
+        this.triggerElement = null;
+        
+        if (this.elements.appContainer) {
+            this.elements.appContainer.inert = false;
+        }
+        document.body.classList.remove('lightbox-open');
+        
+        if (this.returnFocusElement && document.body.contains(this.returnFocusElement)) {
+            this.returnFocusElement.focus();
+        }
+        this.returnFocusElement = null;
+    },
+    
+    /**
+     * 指定番目の画像を表示（端では反対側に戻る）
+     */
+    show(index) {
+        if (this.items.length === 0) return;
+        
+        this.currentIndex = (index + this.items.length) % this.items.length;
+        const item = this.items[this.currentIndex];
+        
+        this.elements.image.src = item.url;
+        this.elements.image.alt = item.alt;
+        this.elements.caption.textContent = item.alt || '（代替テキストなし）';
+        this.elements.caption.classList.toggle('is-empty', !item.alt);
+        this.elements.counter.textContent = `${this.currentIndex + 1} / ${this.items.length}`;
+        
+        const hasMultiple = this.items.length > 1;
+        AppUtils.toggleElement(this.elements.prevButton, hasMultiple);
+        AppUtils.toggleElement(this.elements.nextButton, hasMultiple);
+        
+        // 前後の画像を先読み
+        if (hasMultiple) {
+            [this.currentIndex - 1, this.currentIndex + 1].forEach(neighbor => {
+                const preload = new Image();
+                preload.src = this.items[(neighbor + this.items.length) % this.items.length].url;
+            });
+        }
+    },
+    
+    /**
+     * 表示対象の画像を収集
+     * 閉じられたCW・閲覧注意・絞り込みで非表示の投稿の画像は含めない
+     */
+    collectItems(triggerLink) {
+        const scope = this.settings.timelineScope
+            ? triggerLink.closest('.posts-container, .thread-container')
+            : triggerLink.closest('.post-item');
+        
+        const links = scope
+            ? Array.from(scope.querySelectorAll('.attachment-image-link'))
+            : [triggerLink];
+        
+        return links
+            .filter(link => link === triggerLink || this.isViewable(link))
+            .map(link => ({
+                link,
+                url: link.getAttribute('href'),
+                alt: link.getAttribute('data-alt') || ''
+            }));
+    },
+    
+    /**
+     * 画像が投稿一覧上で見えている状態か
+     */
+    isViewable(link) {
+        return !link.closest('.post-item[hidden], .post-body[hidden], .sensitive-media.is-concealed')
+            && link.style.display !== 'none';
+    },
+    
+    /**
+     * Tabキーのフォーカスをライトボックス内に閉じ込める
+     */
+    trapFocus(event) {
+        const focusable = Array.from(this.elements.lightbox.querySelectorAll('button, input, [href], [tabindex]:not([tabindex="-1"])'))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+        
+        if (focusable.length === 0) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (event.shiftKey && document.activeElement === first) {
+            event.preventDefault();
+            last.focus();
+        } else if (!event.shiftKey && document.activeElement === last) {
+            event.preventDefault();
+            first.focus();
+        }
+    },
+    
+    /**
+     * 「タイムライン全体の画像を表示」設定の変更
+     */
+    setTimelineScope(enabled) {
+        this.settings.timelineScope = enabled;
+        AppUtils.storage.set('lightboxTimelineScope', enabled);
+        
+        // 表示中の場合は現在の画像を起点に収集し直す
+        if (this.isOpen() && this.triggerElement) {
+            const current = this.items[this.currentIndex]?.link || this.triggerElement;
+            this.items = this.collectItems(current);
+            this.show(Math.max(0, this.items.findIndex(item => item.link === current)));
+        }
+        
+        console.log('ライトボックス表示範囲:', enabled ? 'timeline' : 'post');
+    },
+    
+    /**
+     * 表示中かどうか
+     */
+    isOpen() {
+        return !!this.elements.lightbox && !this.elements.lightbox.hidden;
+    }
+};
+
+// グローバルに公開
+window.Lightbox = Lightbox;
@@ -6,6 +6,10 @@
 const LoadingManager = {
     elements: {
         loadingSection: null,
+        loadingText: null,
+        progress: null,
+        progressBar: null,
+        cancelButton: null,
         fetchButton: null,
         buttonText: null,
         buttonLoading: null
@@ -13,11 +17,32 @@ const LoadingManager = {
     
     isLoading: false,
     
+    // キャンセルボタンが押されたときの処理（show() で指定）
+    cancelHandler: null,
+    
+    /**
+     * api.php の進捗イベントの段階ごとの表示（start〜end が進捗バーの範囲）
+     * count は件数がわかる場合のメッセージ
+     */
+    progressStages: {
+        webfinger: { start: 0, end: 10, message: 'アカウントを検索しています...' },
+        actor: { start: 10, end: 20, message: 'アカウント情報を取得しています...' },
+        outbox: { start: 20, end: 30, message: '投稿の一覧を取得しています...' },
+        posts: { start: 30, end: 100, message: '投稿を取得しています...', count: (current, total) => `${current} / ${total} 件の投稿を取得しました` },
+        post: { start: 0, end: 20, message: '投稿を取得しています...' },
+        ancestors: { start: 20, end: 50, message: '返信先を取得しています...', count: (current) => `${current}件の返信先を取得しました` },
+        replies: { start: 50, end: 100, message: '返信を取得しています...', count: (current) => `${current}件の返信を取得しました` }
+    },
+    
     /**
      * 初期化
      */
     init() {
         this.elements.loadingSection = document.getElementById('loading-section');
+        this.elements.loadingText = this.elements.loadingSection?.querySelector('.loading-text');
+        this.elements.progress = this.elements.loadingSection?.querySelector('.loading-progress');
+        this.elements.progressBar = this.elements.loadingSection?.querySelector('.loading-progress-bar');
+        this.elements.cancelButton = this.elements.loadingSection?.querySelector('.loading-cancel-button');
         this.elements.fetchButton = document.getElementById('fetch-button');
         this.elements.buttonText = this.elements.fetchButton?.querySelector('.btn-text');
         this.elements.buttonLoading = this.elements.fetchButton?.querySelector('.btn-loading');
@@ -26,23 +51,37 @@ const LoadingManager = {
             console.warn('LoadingManager: 必要な要素が見つかりません');
         }
         
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.addEventListener('click', () => this.cancel());
+        }
+        
         console.log('LoadingManager 初期化完了');
     },
     
     /**
      * ローディング開始
+     * onCancel を指定した場合はキャンセルボタンを表示する
+     * 表示中に呼ばれた場合（別のリクエストへの切り替え）はメッセージとキャンセル時の処理のみ更新する
      */
-    show(message = 'データを取得しています...') {
-        if (this.isLoading) return;
+    show(message = 'データを取得しています...', { onCancel = null } = {}) {
+        this.setCancelHandler(onCancel);
+        
+        if (this.isLoading) {
+            if (this.elements.loadingText) {
+                this.elements.loadingText.textContent = message;
+            }
+            this.resetProgress();
+            return;
+        }
         
         this.isLoading = true;
         
-        // ローディングセクションを表示
+        // ローディングセクションを表示（進捗は最初のイベントを受け取るまで非表示）
         if (this.elements.loadingSection) {
-            const loadingText = this.elements.loadingSection.querySelector('.loading-text');
-            if (loadingText) {
-                loadingText.textContent = message;
+            if (this.elements.loadingText) {
+                this.elements.loadingText.textContent = message;
             }
+            this.resetProgress();
             AppUtils.toggleElement(this.elements.loadingSection, true);
         }
         
@@ -62,6 +101,7 @@ const LoadingManager = {
         if (!this.isLoading) return;
         
         this.isLoading = false;
+        this.setCancelHandler(null);
         
         // ローディングセクションを非表示
         if (this.elements.loadingSection) {
@@ -74,14 +114,44 @@ const LoadingManager = {
         console.log('ローディング終了');
     },
     
+    /**
+     * キャンセル時の処理の設定（null の場合はキャンセルボタンを隠す）
+     */
+    setCancelHandler(handler) {
+        this.cancelHandler = typeof handler === 'function' ? handler : null;
+        
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.hidden = !this.cancelHandler;
+            this.elements.cancelButton.disabled = false;
+        }
+    },
+    
+    /**
+     * キャンセルボタンの処理
+     */
+    cancel() {
+        if (!this.cancelHandler) return;
+        
+        const handler = this.cancelHandler;
+        if (this.elements.cancelButton) {
+            this.elements.cancelButton.disabled = true;
+        }
+        if (this.elements.loadingText) {
+            this.elements.loadingText.textContent = '中止しています...';
+        }
+        
+        console.log('ローディングのキャンセル');
+        handler();
+    },
+    
     /**
      * ボタンの状態更新
+     * 取得中も別のURLを送信して切り替えられるよう、ボタンは無効にしない
      */
     updateButtonState(loading) {
         if (!this.elements.fetchButton) return;
         
         if (loading) {
-            this.elements.fetchButton.disabled = true;
             this.elements.fetchButton.setAttribute('aria-busy', 'true');
             
             if (this.elements.buttonText) {
@@ -91,7 +161,6 @@ const LoadingManager = {
                 this.elements.buttonLoading.style.display = 'inline';
             }
         } else {
-            this.elements.fetchButton.disabled = false;
             this.elements.fetchButton.removeAttribute('aria-busy');
             
             if (this.elements.buttonText) {
@@ -109,7 +178,8 @@ const LoadingManager = {
     hideOtherSections() {
         const sectionsToHide = [
             'error-section',
-            'results-section'
+            'results-section',
+            'thread-section'
         ];
         
         sectionsToHide.forEach(sectionId => {
@@ -128,11 +198,66 @@ const LoadingManager = {
     },
     
     /**
-     * プログレス表示（将来の拡張用）
+     * プログレス表示
      */
     setProgress(percent, message) {
-        // 現在は未実装、将来的にプログレスバーを追加する場合に使用
-        console.log(`Progress: ${percent}% - ${message}`);
+        percent = Math.min(Math.max(Math.round(percent) || 0, 0), 100);
+        
+        if (this.elements.progress) {
+            this.elements.progress.hidden = false;
+            this.elements.progress.setAttribute('aria-valuenow', String(percent));
+            if (message) {
+                this.elements.progress.setAttribute('aria-valuetext', message);
+            }
+        }
+        if (this.elements.progressBar) {
+            this.elements.progressBar.style.width = `${percent}%`;
+        }
+        if (message && this.elements.loadingText) {
+            this.elements.loadingText.textContent = message;
+        }
+    },
+    
+    /**
+     * プログレス表示のリセット
+     */
+    resetProgress() {
+        if (this.elements.progress) {
+            this.elements.progress.hidden = true;
+            this.elements.progress.removeAttribute('aria-valuenow');
+            this.elements.progress.removeAttribute('aria-valuetext');
+        }
+        if (this.elements.progressBar) {
+            this.elements.progressBar.style.width = '0%';
+        }
+    },
+    
+    /**
+     * api.php の進捗イベント（{ stage, current, total }）の表示
+     */
+    showProgress(event) {
+        const { percent, message } = this.describeProgress(event);
+        this.setProgress(percent, message);
+    },
+    
+    /**
+     * 進捗イベントから進捗率とメッセージを求める（スレッド・追加読み込みの表示でも使用）
+     */
+    describeProgress(event) {
+        const stage = this.progressStages[event?.stage];
+        if (!stage) {
+            return { percent: 0, message: 'データを取得しています...' };
+        }
+        
+        const hasCount = Number.isInteger(event.current) && Number.isInteger(event.total) && event.total > 0;
+        const ratio = hasCount ? Math.min(event.current / event.total, 1) : 0;
+        
+        return {
+            percent: stage.start + (stage.end - stage.start) * ratio,
+            message: hasCount && stage.count && event.current > 0
+                ? stage.count(event.current, event.total)
+                : stage.message
+        };
     }
 };
 
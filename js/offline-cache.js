@@ -0,0 +1,161 @@
+/**
+ * OfflineCache - オフライン用キャッシュ
+ * Actorごとに最後に取得に成功したレスポンスをIndexedDBに保存する
+ * （タイムライン全体はlocalStorageの容量に収まらないため、AppUtils.storageとは別に管理）
+ */
+
+const OfflineCache = {
+    config: {
+        dbName: 'activitypub-web-viewer',
+        storeName: 'timelines',
+        version: 1,
+        maxEntries: 50
+    },
+    
+    db: null,
+    opening: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.config.maxEntries = AppUtils.getConfig('offlineCache.maxEntries', this.config.maxEntries);
+        
+        if (!this.isAvailable()) {
+            console.warn('OfflineCache: IndexedDBが利用できないため無効です');
+            return;
+        }
+        
+        // 最初の送信を待たせないよう、先に接続しておく
+        this.open().catch(error => console.warn('OfflineCache: 接続エラー', error));
+        
+        console.log('OfflineCache 初期化完了');
+    },
+    
+    /**
+     * IndexedDBが利用可能か
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined' && AppUtils.getConfig('offlineCache.enabled', true) !== false;
+    },
+    
+    /**
+     * データベースへの接続
+     */
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+        
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.config.dbName, this.config.version);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.config.storeName)) {
+                    const store = db.createObjectStore(this.config.storeName, { keyPath: 'url' });
+                    store.createIndex('saved_at', 'saved_at');
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.db = request.result;
+                // 別タブでバージョンが上がった場合は接続を閉じて次回開き直す
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                };
+                resolve(this.db);
+            };
+            
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+        }).finally(() => {
+            this.opening = null;
+        });
+        
+        return this.opening;
+    },
+    
+    /**
+     * 保存済みデータの取得
+     * @returns {Promise<{url: string, data: object, saved_at: string}|null>}
+     */
+    async get(url) {
+        if (!this.isAvailable() || !url) return null;
+        
+        try {
+            const db = await this.open();
+            return await this.request(
+                db.transaction(this.config.storeName, 'readonly').objectStore(this.config.storeName).get(url)
+            ) || null;
+        } catch (error) {
+            console.warn('OfflineCache 読み込みエラー:', error);
+            return null;
+        }
+    },
+    
+    /**
+     * 取得結果の保存（古いものから件数上限を超えた分を削除）
+     */
+    async put(url, data) {
+        if (!this.isAvailable() || !url || !data) return false;
+        
+        try {
+            const db = await this.open();
+            const store = db.transaction(this.config.storeName, 'readwrite').objectStore(this.config.storeName);
+            
+            await this.request(store.put({
+                url: url,
+                data: data,
+                saved_at: new Date().toISOString()
+            }));
+            
+            await this.prune();
+            return true;
+        } catch (error) {
+            // 容量超過等で保存できなくても表示には影響させない
+            console.warn('OfflineCache 保存エラー:', error);
+            return false;
+        }
+    },
+    
+    /**
+     * 件数上限を超えた古いデータの削除
+     */
+    async prune() {
+        const db = await this.open();
+        const store = db.transaction(this.config.storeName, 'readwrite').objectStore(this.config.storeName);
+        const count = await this.request(store.count());
+        
+        let excess = count - this.config.maxEntries;
+        if (excess <= 0) return;
+        
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('saved_at').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || excess <= 0) {
+                    resolve();
+                    return;
+                }
+                cursor.delete();
+                excess--;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+    },
+    
+    /**
+     * IDBRequestをPromiseに変換
+     */
+    request(idbRequest) {
+        return new Promise((resolve, reject) => {
+            idbRequest.onsuccess = () => resolve(idbRequest.result);
+            idbRequest.onerror = () => reject(idbRequest.error);
+        });
+    }
+};
+
+// グローバルに公開
+window.OfflineCache = OfflineCache;
@@ -0,0 +1,423 @@
+/**
+ * PostFilter - 投稿の絞り込み
+ * 読み込み済みの投稿の検索・絞り込みと、結果件数の通知を担当
+ */
+
+const PostFilter = {
+    elements: {
+        filterBar: null,
+        query: null,
+        type: null,
+        language: null,
+        dateFrom: null,
+        dateTo: null,
+        mediaOnly: null,
+        hideReplies: null,
+        hashtag: null,
+        hashtagText: null,
+        hashtagClear: null,
+        count: null,
+        clearButton: null,
+        postsContainer: null
+    },
+    
+    /**
+     * 絞り込み条件の初期値（条件なし）
+     * type: 'all' | 'original'（ブーストを除く） | 'boost'（ブーストのみ）
+     * dateFrom / dateTo: 'YYYY-MM-DD'（端末のタイムゾーンの日付）
+     * hashtag: ハッシュタグのリンクから指定されたタグ（小文字）
+     */
+    defaultCriteria: Object.freeze({
+        query: '',
+        type: 'all',
+        language: '',
+        dateFrom: '',
+        dateTo: '',
+        mediaOnly: false,
+        hideReplies: false,
+        hashtag: null
+    }),
+    
+    // 現在の絞り込み条件
+    criteria: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.criteria = { ...this.defaultCriteria };
+        
+        this.elements.filterBar = document.getElementById('post-filter');
+        this.elements.query = document.getElementById('post-filter-query');
+        this.elements.type = document.getElementById('post-filter-type');
+        this.elements.language = document.getElementById('post-filter-language');
+        this.elements.dateFrom = document.getElementById('post-filter-date-from');
+        this.elements.dateTo = document.getElementById('post-filter-date-to');
+        this.elements.mediaOnly = document.getElementById('post-filter-media');
+        this.elements.hideReplies = document.getElementById('post-filter-hide-replies');
+        this.elements.hashtag = document.getElementById('hashtag-filter');
+        this.elements.hashtagText = document.getElementById('hashtag-filter-text');
+        this.elements.hashtagClear = document.getElementById('hashtag-filter-clear');
+        this.elements.count = document.getElementById('post-filter-count');
+        this.elements.clearButton = document.getElementById('post-filter-clear');
+        this.elements.postsContainer = document.getElementById('posts-container');
+        
+        if (!this.elements.filterBar || !this.elements.postsContainer) {
+            console.warn('PostFilter: 必要な要素が見つかりません');
+            return;
+        }
+        
+        this.attachEventListeners();
+        
+        console.log('PostFilter 初期化完了');
+    },
+    
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        // キーワードは入力のたびに絞り込み、件数の通知とアドレスバーへの反映は入力が落ち着いてから行う
+        if (this.elements.query) {
+            const settled = AppUtils.debounce(() => {
+                this.announceResult();
+                this.notifyChange();
+            }, 500);
+            this.elements.query.addEventListener('input', () => {
+                this.readForm();
+                this.apply();
+                settled();
+            });
+        }
+        
+        [
+            this.elements.type,
+            this.elements.language,
+            this.elements.dateFrom,
+            this.elements.dateTo,
+            this.elements.mediaOnly,
+            this.elements.hideReplies
+        ].forEach(element => {
+            if (element) {
+                element.addEventListener('change', () => {
+                    this.readForm();
+                    this.apply({ announce: true });
+                    this.notifyChange();
+                });
+            }
+        });
+        
+        if (this.elements.hashtagClear) {
+            this.elements.hashtagClear.addEventListener('click', () => this.setHashtag(null));
+        }
+        
+        if (this.elements.clearButton) {
+            this.elements.clearButton.addEventListener('click', () => {
+                this.clearCriteria();
+                this.apply({ announce: true });
+                this.notifyChange();
+                this.elements.query?.focus();
+            });
+        }
+    },
+    
+    /**
+     * フォームの入力値を絞り込み条件に反映
+     */
+    readForm() {
+        this.criteria.query = this.elements.query?.value.trim() || '';
+        this.criteria.type = this.elements.type?.value || 'all';
+        this.criteria.language = this.elements.language?.value || '';
+        this.criteria.dateFrom = this.elements.dateFrom?.value || '';
+        this.criteria.dateTo = this.elements.dateTo?.value || '';
+        this.criteria.mediaOnly = !!this.elements.mediaOnly?.checked;
+        this.criteria.hideReplies = !!this.elements.hideReplies?.checked;
+    },
+    
+    /**
+     * 絞り込み条件をフォームに反映
+     */
+    writeForm() {
+        if (this.elements.query) this.elements.query.value = this.criteria.query;
+        if (this.elements.type) this.elements.type.value = this.criteria.type;
+        if (this.elements.language) this.elements.language.value = this.criteria.language;
+        if (this.elements.dateFrom) this.elements.dateFrom.value = this.criteria.dateFrom;
+        if (this.elements.dateTo) this.elements.dateTo.value = this.criteria.dateTo;
+        if (this.elements.mediaOnly) this.elements.mediaOnly.checked = this.criteria.mediaOnly;
+        if (this.elements.hideReplies) this.elements.hideReplies.checked = this.criteria.hideReplies;
+    },
+    
+    /**
+     * 絞り込み条件が指定されているか
+     */
+    isActive() {
+        const c = this.criteria;
+        return c.query !== '' || c.type !== 'all' || c.language !== '' || c.dateFrom !== '' ||
+            c.dateTo !== '' || c.mediaOnly || c.hideReplies || !!c.hashtag;
+    },
+    
+    /**
+     * ハッシュタグでの絞り込み（nullで解除）
+     */
+    setHashtag(hashtag) {
+        this.criteria.hashtag = hashtag ? hashtag.toLowerCase() : null;
+        this.apply({ announce: true });
+        this.notifyChange();
+        
+        console.log('ハッシュタグ絞り込み:', this.criteria.hashtag);
+    },
+    
+    /**
+     * 現在の絞り込み条件の取得
+     */
+    getCriteria() {
+        return { ...this.criteria };
+    },
+    
+    /**
+     * 絞り込み条件の設定（URLからの復元用。指定のない項目は条件なしに戻す）
+     */
+    setCriteria(criteria = {}) {
+        this.criteria = { ...this.defaultCriteria };
+        Object.keys(this.defaultCriteria).forEach(key => {
+            if (criteria[key] !== undefined && criteria[key] !== null) {
+                this.criteria[key] = criteria[key];
+            }
+        });
+        
+        this.updateLanguageOptions();
+        this.writeForm();
+        this.apply();
+    },
+    
+    /**
+     * 絞り込み条件の変更をアドレスバー（Router）に反映
+     */
+    notifyChange() {
+        if (window.Router) {
+            Router.recordFilter(this.getCriteria());
+        }
+    },
+    
+    /**
+     * 投稿一覧の再描画・追加読み込み後の更新（言語の選択肢と絞り込みの再適用）
+     */
+    refresh() {
+        this.updateLanguageOptions();
+        this.apply();
+    },
+    
+    /**
+     * 現在の絞り込み条件を投稿一覧に反映
+     */
+    apply({ announce = false } = {}) {
+        if (!this.elements.postsContainer) return;
+        
+        const posts = this.elements.postsContainer.querySelectorAll('.post-item');
+        const matcher = this.createMatcher();
+        let visibleCount = 0;
+        
+        posts.forEach(post => {
+            const visible = matcher(post);
+            post.hidden = !visible;
+            if (visible) visibleCount++;
+        });
+        
+        this.updateStatus(visibleCount, posts.length);
+        
+        if (announce) {
+            this.announceResult();
+        }
+    },
+    
+    /**
+     * 絞り込み条件から投稿要素の判定関数を生成
+     */
+    createMatcher() {
+        const c = this.criteria;
+        const terms = this.normalizeText(c.query).split(/\s+/).filter(Boolean);
+        const from = c.dateFrom ? new Date(`${c.dateFrom}T00:00:00`).getTime() : null;
+        const to = c.dateTo ? new Date(`${c.dateTo}T23:59:59.999`).getTime() : null;
+        
+        return post => {
+            if (c.hashtag && !(post.getAttribute('data-hashtags') || '').split(' ').includes(c.hashtag)) {
+                return false;
+            }
+            
+            const isBoost = post.classList.contains('post-boost');
+            if ((c.type === 'original' && isBoost) || (c.type === 'boost' && !isBoost)) {
+                return false;
+            }
+            
+            if (c.mediaOnly && post.getAttribute('data-has-media') !== 'true') return false;
+            if (c.hideReplies && post.getAttribute('data-reply') === 'true') return false;
+            if (c.language && !this.matchesLanguage(post.getAttribute('data-language'), c.language)) return false;
+            
+            if (from !== null || to !== null) {
+                const published = Date.parse(post.querySelector('.post-date')?.getAttribute('datetime') || '');
+                if (Number.isNaN(published)) return false;
+                if (from !== null && published < from) return false;
+                if (to !== null && published > to) return false;
+            }
+            
+            if (terms.length > 0) {
+                const text = this.getSearchText(post);
+                return terms.every(term => text.includes(term));
+            }
+            
+            return true;
+        };
+    },
+    
+    /**
+     * 言語の一致判定（'en' を選んだ場合は 'en-us' 等も含める）
+     */
+    matchesLanguage(language, selected) {
+        if (!language) return false;
+        return language === selected || language.startsWith(`${selected}-`);
+    },
+    
+    /**
+     * 検索対象のテキスト（CW・タイトル・本文・投票の選択肢）
+     */
+    getSearchText(post) {
+        const parts = [
+            post.querySelector('.post-cw-text')?.textContent,
+            post.querySelector('.post-body')?.textContent
+        ];
+        return this.normalizeText(parts.filter(Boolean).join(' '));
+    },
+    
+    /**
+     * 検索用の正規化（全角・半角と大文字・小文字を区別しない）
+     */
+    normalizeText(text) {
+        return String(text || '').normalize('NFKC').toLowerCase();
+    },
+    
+    /**
+     * 件数表示・ハッシュタグ表示・絞り込みバーの表示状態の更新
+     */
+    updateStatus(visibleCount, totalCount) {
+        if (this.elements.filterBar) {
+            this.elements.filterBar.hidden = totalCount === 0;
+        }
+        
+        if (this.elements.hashtag) {
+            this.elements.hashtag.hidden = !this.criteria.hashtag;
+            if (this.elements.hashtagText) {
+                this.elements.hashtagText.textContent = this.criteria.hashtag ? `#${this.criteria.hashtag}` : '';
+            }
+        }
+        
+        if (this.elements.count) {
+            this.elements.count.textContent = this.describeResult(visibleCount, totalCount);
+        }
+        
+        if (this.elements.clearButton) {
+            this.elements.clearButton.hidden = !this.isActive();
+        }
+    },
+    
+    /**
+     * 結果件数の文言
+     */
+    describeResult(visibleCount, totalCount) {
+        if (!this.isActive()) {
+            return `読み込み済みの投稿: ${totalCount}件`;
+        }
+        if (visibleCount === 0) {
+            return `条件に一致する投稿はありません（読み込み済み${totalCount}件中）`;
+        }
+        return `条件に一致する投稿: ${visibleCount}件（読み込み済み${totalCount}件中）`;
+    },
+    
+    /**
+     * スクリーンリーダー用の結果件数の通知
+     */
+    announceResult() {
+        let liveRegion = document.getElementById('post-filter-live-region');
+        if (!liveRegion) {
+            liveRegion = document.createElement('div');
+            liveRegion.id = 'post-filter-live-region';
+            liveRegion.setAttribute('aria-live', 'polite');
+            liveRegion.setAttribute('aria-atomic', 'true');
+            liveRegion.style.position = 'absolute';
+            liveRegion.style.left = '-10000px';
+            liveRegion.style.width = '1px';
+            liveRegion.style.height = '1px';
+            liveRegion.style.overflow = 'hidden';
+            document.body.appendChild(liveRegion);
+        }
+        
+        liveRegion.textContent = this.elements.count?.textContent || '';
+    },
+    
+    /**
+     * 読み込み済みの投稿に含まれる言語から言語の選択肢を生成
+     */
+    updateLanguageOptions() {
+        const select = this.elements.language;
+        if (!select || !this.elements.postsContainer) return;
+        
+        const languages = new Set();
+        this.elements.postsContainer.querySelectorAll('.post-item[data-language]').forEach(post => {
+            const language = post.getAttribute('data-language');
+            if (language) {
+                // 地域・表記の違いはまとめて主言語で選択する
+                languages.add(language.split('-')[0]);
+            }
+        });
+        
+        // 選択中の言語は投稿がなくなっても残す
+        if (this.criteria.language) {
+            languages.add(this.criteria.language);
+        }
+        
+        const options = [...languages]
+            .map(code => ({ code, name: this.getLanguageName(code) }))
+            .sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+        
+        select.innerHTML = '<option value="">すべての言語</option>' + options.map(option =>
+            `<option value="${AppUtils.escapeHtml(option.code)}">${AppUtils.escapeHtml(option.name)}</option>`
+        ).join('');
+        select.value = this.criteria.language;
+        select.disabled = options.length === 0;
+    },
+    
+    /**
+     * 言語コードの表示名（Intl.DisplayNames 非対応の場合はコードのまま）
+     */
+    getLanguageName(code) {
+        try {
+            const name = new Intl.DisplayNames(['ja'], { type: 'language' }).of(code);
+            return name && name !== code ? `${name} (${code})` : code;
+        } catch (error) {
+            return code;
+        }
+    },
+    
+    /**
+     * 絞り込み条件のクリア
+     */
+    clearCriteria() {
+        this.criteria = { ...this.defaultCriteria };
+        this.writeForm();
+    },
+    
+    /**
+     * 絞り込みのリセット（別のActorの表示時）
+     */
+    reset() {
+        this.clearCriteria();
+        
+        if (this.elements.filterBar) {
+            this.elements.filterBar.hidden = true;
+        }
+        if (this.elements.hashtag) {
+            this.elements.hashtag.hidden = true;
+        }
+    }
+};
+
+// グローバルに公開
+window.PostFilter = PostFilter;
@@ -7,7 +7,25 @@ const PostRenderer = {
     elements: {
         resultsSection: null,
         actorInfo: null,
-        postsContainer: null
+        postsContainer: null,
+        expandCwToggle: null,
+        offlineBanner: null
+    },
+    
+    settings: {
+        expandContentWarnings: false
+    },
+    
+    // 折りたたみ領域のID生成用（投稿一覧とスレッドで重複しないように通し番号を使う）
+    bodyIdCounter: 0,
+    
+    pagination: {
+        nextCursor: null,
+        isLoading: false,
+        observer: null,
+        generation: 0,
+        // 読み込み中の続きの取得の中止用（別のActorの表示で中止する）
+        controller: null
     },
     
     /**
@@ -18,13 +36,91 @@ const PostRenderer = {
         this.elements.actorInfo = document.getElementById('actor-info');
         this.elements.postsContainer = document.getElementById('posts-container');
         
+        this.elements.expandCwToggle = document.getElementById('expand-cw-toggle');
+        this.elements.offlineBanner = document.getElementById('offline-banner');
+        
         if (!this.elements.resultsSection || !this.elements.postsContainer) {
             console.warn('PostRenderer: 必要な要素が見つかりません');
         }
         
+        // 表示設定の読み込み
+        this.settings.expandContentWarnings = AppUtils.storage.get('expandContentWarnings', false) === true;
+        
+        this.attachEventListeners();
+        
         console.log('PostRenderer 初期化完了');
     },
     
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        // CW・閲覧注意メディアの表示切り替え（投稿一覧・スレッドの両方で使うため document で委譲）
+        document.addEventListener('click', (event) => {
+            const cwToggle = event.target.closest('.cw-toggle');
+            if (cwToggle) {
+                event.preventDefault();
+                this.setContentWarningExpanded(cwToggle, cwToggle.getAttribute('aria-expanded') !== 'true');
+                return;
+            }
+            
+            const sensitiveToggle = event.target.closest('.sensitive-toggle');
+            if (sensitiveToggle) {
+                event.preventDefault();
+                this.setSensitiveMediaRevealed(sensitiveToggle, sensitiveToggle.getAttribute('aria-pressed') !== 'true');
+                return;
+            }
+            
+            // 修飾キー付き・中クリックは通常のリンクとして新しいタブ等で開けるようにする
+            if (event.button !== 0 || event.ctrlKey || event.metaKey || event.shiftKey || event.altKey) {
+                return;
+            }
+            
+            // メンションはビューア内でそのActorを表示
+            const mentionLink = event.target.closest('.mention-link');
+            if (mentionLink) {
+                event.preventDefault();
+                this.openMention(mentionLink.getAttribute('data-mention-href'));
+                return;
+            }
+            
+            // ハッシュタグは読み込み済みの投稿を絞り込み
+            const hashtagLink = event.target.closest('.hashtag-link');
+            if (hashtagLink) {
+                event.preventDefault();
+                this.filterByHashtag(hashtagLink.getAttribute('data-hashtag'));
+            }
+        });
+        
+        // キャッシュを使わずに最新の情報を取得
+        if (this.elements.actorInfo) {
+            this.elements.actorInfo.addEventListener('click', (event) => {
+                const refreshButton = event.target.closest('.force-refresh-button');
+                if (refreshButton && window.FormHandler) {
+                    FormHandler.refresh(refreshButton.getAttribute('data-actor-url'));
+                }
+            });
+        }
+        
+        // 保存済みデータの表示中に最新の取得を再試行
+        if (this.elements.offlineBanner) {
+            this.elements.offlineBanner.addEventListener('click', (event) => {
+                const retryButton = event.target.closest('.offline-retry-button');
+                if (retryButton && window.FormHandler) {
+                    FormHandler.handleRetry(retryButton.getAttribute('data-actor-url'));
+                }
+            });
+        }
+        
+        // 「CWを常に展開」設定
+        if (this.elements.expandCwToggle) {
+            this.elements.expandCwToggle.checked = this.settings.expandContentWarnings;
+            this.elements.expandCwToggle.addEventListener('change', () => {
+                this.setExpandContentWarnings(this.elements.expandCwToggle.checked);
+            });
+        }
+    },
+    
     /**
      * データのレンダリング
      */
@@ -35,9 +131,15 @@ const PostRenderer = {
         }
         
         try {
+            // 前回の続き読み込み・絞り込みを無効化
+            this.resetPagination();
+            this.resetFilter();
+            this.hideOfflineBanner();
+            this.pagination.nextCursor = data.meta?.next_cursor || null;
+            
             // Actor情報の表示
             if (data.actor_info) {
-                this.renderActorInfo(data.actor_info);
+                this.renderActorInfo(data.actor_info, data.meta);
             }
             
             // 投稿一覧の表示
@@ -62,14 +164,14 @@ const PostRenderer = {
     /**
      * Actor情報のレンダリング
      */
-    renderActorInfo(actorInfo) {
+    renderActorInfo(actorInfo, meta = null) {
         if (!this.elements.actorInfo) return;
         
         const avatar = actorInfo.avatar 
             ? `<img src="${AppUtils.escapeHtml(actorInfo.avatar)}" alt="${AppUtils.escapeHtml(actorInfo.name)}のアバター" class="actor-avatar">`
             : `<div class="actor-avatar-placeholder" style="width: 64px; height: 64px; background: #ccc; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 1.5rem;">👤</div>`;
         
-        const name = AppUtils.escapeHtml(actorInfo.name || 'Unknown User');
+        const name = this.replaceEmojis(AppUtils.escapeHtml(actorInfo.name || 'Unknown User'), actorInfo.emojis);
         const username = actorInfo.preferredUsername 
             ? `@${AppUtils.escapeHtml(actorInfo.preferredUsername)}`
             : '';
@@ -77,20 +179,37 @@ const PostRenderer = {
             ? `<p class="actor-summary">${AppUtils.escapeHtml(actorInfo.summary)}</p>`
             : '';
         
+        // ハンドルから解決した場合は解決先のActor URLを表示
+        const resolved = meta?.resolved_via && meta.actor_url
+            ? `<p class="actor-resolved">${AppUtils.escapeHtml(meta.requested_url || '')} → <a href="${AppUtils.escapeHtml(meta.actor_url)}" target="_blank" rel="noopener">${AppUtils.escapeHtml(meta.actor_url)}</a></p>`
+            : '';
+        
         const followersCount = this.formatCount(actorInfo.followers_count);
         const followingCount = this.formatCount(actorInfo.following_count);
         
+        // ウォッチリストへの追加ボタン（登録済みの場合は無効）
+        const watchUrl = meta?.actor_url || actorInfo.id || '';
+        const isWatched = window.WatchList && WatchList.getItems().some(item => item.url === watchUrl || item.url === meta?.requested_url);
+        const watchButton = window.WatchList && watchUrl
+            ? `<button type="button" class="btn btn-secondary watch-add-button" data-actor-url="${AppUtils.escapeHtml(watchUrl)}" data-actor-name="${AppUtils.escapeHtml(actorInfo.name || '')}"${isWatched ? ' disabled' : ''}>${isWatched ? 'ウォッチリストに追加済み' : 'ウォッチリストに追加'}</button>`
+            : '';
+        
         const html = `
             <div class="actor-profile">
                 ${avatar}
                 <div class="actor-details">
                     <h2>${name}</h2>
                     <p class="actor-username">${username}</p>
+                    ${resolved}
+                    ${this.renderCacheStatus(meta)}
+                    ${this.renderRateLimitNotice(meta)}
+                    ${this.renderFailedItemsNotice(meta)}
                     ${summary}
                     <div class="actor-stats">
                         <span>フォロワー: ${followersCount}</span>
                         <span>フォロー: ${followingCount}</span>
                     </div>
+                    ${watchButton}
                 </div>
             </div>
         `;
@@ -98,6 +217,110 @@ const PostRenderer = {
         this.elements.actorInfo.innerHTML = html;
     },
     
+    /**
+     * キャッシュ状況（「3分前のデータ」）と再取得ボタンのレンダリング
+     */
+    renderCacheStatus(meta) {
+        const actorUrl = meta?.requested_url || meta?.actor_url;
+        if (!actorUrl) return '';
+        
+        const cache = meta.cache;
+        let status = '';
+        if (cache?.cached && typeof cache.age === 'number') {
+            // サーバーとの時計のずれを避けるため、経過秒数から表示する
+            const cachedAt = new Date(Date.now() - cache.age * 1000).toISOString();
+            status = `<span class="cache-age" title="${AppUtils.escapeHtml(AppUtils.formatDate(cachedAt))}">キャッシュ: ${AppUtils.escapeHtml(AppUtils.getRelativeTime(cachedAt))}に取得したデータ</span>`;
+        }
+        
+        return `
+            <p class="cache-status">
+                ${status}
+                <button type="button" class="force-refresh-button" data-actor-url="${AppUtils.escapeHtml(actorUrl)}">最新の情報に更新</button>
+            </p>
+        `;
+    },
+    
+    /**
+     * レート制限で一部を取得できなかった場合の通知
+     */
+    renderRateLimitNotice(meta) {
+        if (!meta?.rate_limited) return '';
+        
+        return `
+            <p class="rate-limit-notice">
+                リモートサーバーの制限により、一部の投稿を取得できませんでした（約${AppUtils.escapeHtml(String(meta.rate_limited))}秒後に再取得できます）。
+            </p>
+        `;
+    },
+    
+    /**
+     * 取得・解析できなかった投稿の通知（件数と、展開すると項目ごとの理由）
+     */
+    renderFailedItemsNotice(meta) {
+        const failures = Array.isArray(meta?.failed_items) ? meta.failed_items : [];
+        if (failures.length === 0) return '';
+        
+        const items = failures.map(failure => {
+            const url = failure.url || failure.id;
+            let label = '（URLなし）';
+            if (typeof url === 'string' && url.startsWith('https://')) {
+                label = `<a href="${AppUtils.escapeHtml(url)}" target="_blank" rel="noopener noreferrer">${AppUtils.escapeHtml(url)}</a>`;
+            } else if (url) {
+                // HTTPS以外のURLはリンクにしない
+                label = AppUtils.escapeHtml(String(url));
+            }
+            return `<li>${label}: ${AppUtils.escapeHtml(failure.message || failure.code || '')}</li>`;
+        }).join('');
+        
+        return `
+            <details class="failed-items-notice">
+                <summary>${failures.length}件の投稿を取得できませんでした</summary>
+                <ul>${items}</ul>
+            </details>
+        `;
+    },
+    
+    /**
+     * 保存済み（オフライン）のデータを表示中である旨の通知
+     * error を渡した場合は最新の取得に失敗した状態として再試行ボタンを表示する
+     */
+    showOfflineBanner(savedAt, actorUrl, error = null) {
+        const banner = this.elements.offlineBanner;
+        if (!banner) return;
+        
+        const time = `<time datetime="${AppUtils.escapeHtml(savedAt)}" title="${AppUtils.escapeHtml(AppUtils.formatDate(savedAt))}">${AppUtils.escapeHtml(AppUtils.getRelativeTime(savedAt))}</time>`;
+        
+        if (error) {
+            const apiError = ApiClient.transformError(error);
+            banner.innerHTML = `
+                <p class="offline-banner-text">
+                    <strong>オフラインのコピー（${time}に取得）を表示しています。</strong>
+                    最新の投稿を取得できませんでした: ${AppUtils.escapeHtml(apiError.error.user_message)}
+                </p>
+                <button type="button" class="btn btn-secondary offline-retry-button" data-actor-url="${AppUtils.escapeHtml(actorUrl)}">再試行</button>
+            `;
+        } else {
+            banner.innerHTML = `
+                <p class="offline-banner-text">
+                    保存済みのデータ（${time}に取得）を表示しています。最新の投稿を取得中...
+                </p>
+            `;
+        }
+        
+        banner.classList.toggle('is-failed', !!error);
+        banner.hidden = false;
+    },
+    
+    /**
+     * オフライン表示の通知を非表示
+     */
+    hideOfflineBanner() {
+        if (!this.elements.offlineBanner) return;
+        
+        this.elements.offlineBanner.hidden = true;
+        this.elements.offlineBanner.innerHTML = '';
+    },
+    
     /**
      * 投稿一覧のレンダリング
      */
@@ -110,18 +333,202 @@ const PostRenderer = {
                     <p>投稿が見つかりませんでした。</p>
                 </div>
             `;
-            return;
+        } else {
+            let html = '';
+            posts.forEach((post, index) => {
+                html += this.renderPost(post, index);
+            });
+            
+            this.elements.postsContainer.innerHTML = html;
+            
+            // 画像の遅延読み込み設定
+            this.setupLazyLoading();
         }
         
+        // 続きの読み込みUI
+        this.renderLoadMore();
+        
+        if (window.PostFilter) {
+            PostFilter.refresh();
+        }
+    },
+    
+    /**
+     * 投稿の追加レンダリング（既存の投稿の後ろに追加）
+     */
+    appendPosts(posts) {
+        if (!this.elements.postsContainer || posts.length === 0) return;
+        
+        // 「投稿が見つかりませんでした」表示を除去
+        const noPosts = this.elements.postsContainer.querySelector('.no-posts');
+        if (noPosts) {
+            noPosts.remove();
+        }
+        
+        const startIndex = this.getPostCount();
         let html = '';
         posts.forEach((post, index) => {
-            html += this.renderPost(post, index);
+            html += this.renderPost(post, startIndex + index);
         });
         
-        this.elements.postsContainer.innerHTML = html;
+        const loadMore = this.elements.postsContainer.querySelector('.load-more');
+        if (loadMore) {
+            loadMore.insertAdjacentHTML('beforebegin', html);
+        } else {
+            this.elements.postsContainer.insertAdjacentHTML('beforeend', html);
+        }
         
-        // 画像の遅延読み込み設定
         this.setupLazyLoading();
+        
+        // 絞り込み中は追加分にも適用
+        if (window.PostFilter) {
+            PostFilter.refresh();
+        }
+    },
+    
+    /**
+     * 「さらに読み込む」UIのレンダリング
+     */
+    renderLoadMore() {
+        if (!this.elements.postsContainer) return;
+        
+        const existing = this.elements.postsContainer.querySelector('.load-more');
+        if (existing) {
+            existing.remove();
+        }
+        this.disconnectLoadMoreObserver();
+        
+        if (!this.pagination.nextCursor) return;
+        
+        this.elements.postsContainer.insertAdjacentHTML('beforeend', `
+            <div class="load-more">
+                <button type="button" class="btn btn-secondary load-more-button">さらに古い投稿を読み込む</button>
+                <p class="load-more-status" role="status" aria-live="polite"></p>
+            </div>
+        `);
+        
+        const loadMore = this.elements.postsContainer.querySelector('.load-more');
+        loadMore.querySelector('.load-more-button').addEventListener('click', () => this.loadMorePosts());
+        
+        // スクロールで末尾に近づいたら自動で読み込む
+        // 絞り込み中は表示される投稿が少なく読み込みが連鎖するため、ボタンでの読み込みのみとする
+        if ('IntersectionObserver' in window) {
+            this.pagination.observer = new IntersectionObserver((entries) => {
+                if (window.PostFilter && PostFilter.isActive()) return;
+                if (entries.some(entry => entry.isIntersecting)) {
+                    this.loadMorePosts();
+                }
+            }, {
+                root: this.elements.postsContainer,
+                rootMargin: '200px'
+            });
+            this.pagination.observer.observe(loadMore);
+        }
+    },
+    
+    /**
+     * 続きの投稿の読み込み
+     */
+    async loadMorePosts() {
+        if (this.pagination.isLoading || !this.pagination.nextCursor) return;
+        
+        const loadMore = this.elements.postsContainer?.querySelector('.load-more');
+        const button = loadMore?.querySelector('.load-more-button');
+        const status = loadMore?.querySelector('.load-more-status');
+        const generation = this.pagination.generation;
+        const controller = new AbortController();
+        
+        this.pagination.isLoading = true;
+        this.pagination.controller = controller;
+        if (button) button.disabled = true;
+        if (status) status.textContent = '古い投稿を読み込んでいます...';
+        
+        try {
+            const data = await ApiClient.fetchMorePosts(
+                this.pagination.nextCursor,
+                AppUtils.getConfig('display.maxPosts', 20),
+                {
+                    onProgress: event => {
+                        if (status && generation === this.pagination.generation) {
+                            status.textContent = LoadingManager.describeProgress(event).message;
+                        }
+                    },
+                    signal: controller.signal
+                }
+            );
+            
+            // 読み込み中に別のActorが表示された場合は破棄
+            if (generation !== this.pagination.generation) return;
+            
+            this.appendPosts(data.posts || []);
+            this.pagination.nextCursor = data.meta?.next_cursor || null;
+            this.pagination.isLoading = false;
+            this.renderLoadMore();
+            
+            const failedCount = data.meta?.failed_items?.length || 0;
+            const newStatus = this.elements.postsContainer.querySelector('.load-more-status');
+            if (failedCount > 0 && newStatus) {
+                newStatus.textContent = `${failedCount}件の投稿を取得できませんでした。`;
+            }
+            
+            console.log('追加読み込み完了:', {
+                posts: data.posts?.length || 0,
+                hasMore: !!this.pagination.nextCursor
+            });
+            
+        } catch (error) {
+            console.error('追加読み込みエラー:', error);
+            
+            if (generation !== this.pagination.generation) return;
+            
+            // 表示中の投稿は残したまま、読み込み欄にエラーを表示
+            this.disconnectLoadMoreObserver();
+            const apiError = ApiClient.transformError(error);
+            if (status) status.textContent = apiError.error.user_message;
+            if (button) {
+                button.textContent = '再試行';
+                button.disabled = false;
+            }
+            
+        } finally {
+            if (generation === this.pagination.generation) {
+                this.pagination.isLoading = false;
+            }
+            if (this.pagination.controller === controller) {
+                this.pagination.controller = null;
+            }
+        }
+    },
+    
+    /**
+     * 自動読み込み用Observerの解除
+     */
+    disconnectLoadMoreObserver() {
+        if (this.pagination.observer) {
+            this.pagination.observer.disconnect();
+            this.pagination.observer = null;
+        }
+    },
+    
+    /**
+     * ページネーション状態のリセット
+     */
+    resetPagination() {
+        this.disconnectLoadMoreObserver();
+        if (this.pagination.controller) {
+            this.pagination.controller.abort();
+            this.pagination.controller = null;
+        }
+        this.pagination.nextCursor = null;
+        this.pagination.isLoading = false;
+        this.pagination.generation++;
+    },
+    
+    /**
+     * 続きの投稿があるか
+     */
+    hasMorePosts() {
+        return !!this.pagination.nextCursor;
     },
     
     /**
@@ -132,99 +539,632 @@ const PostRenderer = {
             ? `<img src="${AppUtils.escapeHtml(post.author.avatar)}" alt="${AppUtils.escapeHtml(post.author.name)}のアバター" class="post-avatar">`
             : `<div class="post-avatar-placeholder" style="width: 40px; height: 40px; background: #ccc; border-radius: 50%; display: flex; align-items: center; justify-content: center; color: white; font-size: 0.8rem;">👤</div>`;
         
-        const authorName = AppUtils.escapeHtml(post.author?.name || 'Unknown User');
+        const authorName = this.replaceEmojis(AppUtils.escapeHtml(post.author?.name || 'Unknown User'), post.author?.emojis);
         const formattedDate = post.formatted_date || AppUtils.formatDate(post.published_at);
         const relativeTime = AppUtils.getRelativeTime(post.published_at);
         
-        const content = this.processContent(post.content || '');
-        const attachments = this.renderAttachments(post.attachments || []);
+        const content = this.renderBodyContent(post);
+        const kindBadge = this.renderKindBadge(post);
+        const hashtags = (post.hashtags || []).map(hashtag => hashtag.name.toLowerCase()).join(' ');
+        const filterAttributes = this.renderFilterAttributes(post);
+        const poll = post.poll ? this.renderPoll(post.poll, post.emojis) : '';
+        const attachments = this.renderAttachments(post.attachments || [], post.sensitive);
+        const bodyId = `post-body-${++this.bodyIdCounter}`;
+        const isCollapsed = !!post.content_warning && !this.settings.expandContentWarnings;
+        const contentWarning = post.content_warning
+            ? this.renderContentWarning(post.content_warning, bodyId, !isCollapsed)
+            : '';
         
         const postLink = post.url 
             ? `<a href="${AppUtils.escapeHtml(post.url)}" target="_blank" rel="noopener" class="post-link">元の投稿を見る</a>`
             : '';
         
+        // ブーストの場合は「○○がブースト」ヘッダーを表示（authorは元の投稿者）
+        const boostHeader = post.boosted_by
+            ? this.renderBoostHeader(post.boosted_by)
+            : '';
+        
+        const threadButton = post.id
+            ? `<button type="button" class="post-link post-thread-button" data-post-id="${AppUtils.escapeHtml(post.id)}">スレッドを表示</button>`
+            : '';
+        
         return `
-            <article class="post-item" data-post-id="${AppUtils.escapeHtml(post.id)}" data-index="${index}">
+            <article class="post-item${post.boosted_by ? ' post-boost' : ''}" data-entry-key="${AppUtils.escapeHtml(this.getEntryKey(post, index))}" data-index="${index}" data-hashtags="${AppUtils.escapeHtml(hashtags)}"${filterAttributes}>
+                ${boostHeader}
                 <header class="post-header">
                     ${avatar}
                     <div class="post-meta">
-                        <h4>${authorName}</h4>
+                        <h4>${authorName}${kindBadge}</h4>
                         <time datetime="${post.published_at}" title="${formattedDate}" class="post-date">
                             ${relativeTime}
                         </time>
                     </div>
                 </header>
                 
-                <div class="post-content">
+                ${contentWarning}
+                
+                <div class="post-body" id="${bodyId}"${isCollapsed ? ' hidden' : ''}>
                     ${content}
+                    
+                    ${poll}
+                    
+                    ${attachments}
                 </div>
                 
-                ${attachments}
-                
                 <footer class="post-actions">
+                    ${threadButton}
                     ${postLink}
                 </footer>
             </article>
         `;
     },
     
+    /**
+     * 投稿一覧での要素のキー
+     * 同じ投稿が元の投稿とブースト、または複数のブーストとして並んでも重複しないよう、ブーストはAnnounceのIDを使う
+     */
+    getEntryKey(post, index) {
+        if (post.boosted_by) {
+            return post.boosted_by.announce_id || `${post.id}#boost-${index}`;
+        }
+        
+        return post.id || `#${index}`;
+    },
+    
+    /**
+     * 絞り込み（PostFilter）で使う投稿の属性
+     */
+    renderFilterAttributes(post) {
+        const hasMedia = Array.isArray(post.attachments) && post.attachments.length > 0;
+        const language = post.language
+            ? ` data-language="${AppUtils.escapeHtml(post.language)}"`
+            : '';
+        
+        return ` data-has-media="${hasMedia}" data-reply="${!!post.in_reply_to}"${language}`;
+    },
+    
+    /**
+     * 本文のレンダリング（投稿の種類に応じたレイアウト）
+     */
+    renderBodyContent(post) {
+        const content = this.processContent(post.content || '', {
+            emojis: post.emojis,
+            mentions: post.mentions,
+            hashtags: post.hashtags
+        });
+        const title = post.title
+            ? `<h5 class="post-title">${this.replaceEmojis(AppUtils.escapeHtml(post.title), post.emojis)}</h5>`
+            : '';
+        
+        switch (post.kind) {
+            case 'article': {
+                // 長文のため、タイトルと抜粋を表示し本文は「続きを読む」で展開
+                const excerpt = post.excerpt
+                    ? `<p class="post-excerpt">${this.replaceEmojis(AppUtils.escapeHtml(post.excerpt), post.emojis)}</p>`
+                    : '';
+                const more = post.content && post.content.trim() !== ''
+                    ? `
+                        <details class="post-article-more">
+                            <summary>続きを読む</summary>
+                            <div class="post-content">
+                                ${content}
+                            </div>
+                        </details>
+                    `
+                    : '';
+                
+                return `
+                    <div class="post-article">
+                        ${title}
+                        ${excerpt}
+                        ${more}
+                    </div>
+                `;
+            }
+                
+            case 'event':
+                return `
+                    <div class="post-event">
+                        ${title}
+                        ${this.renderEventDetails(post.event)}
+                        <div class="post-content">
+                            ${content}
+                        </div>
+                    </div>
+                `;
+                
+            default:
+                return `
+                    <div class="post-content">
+                        ${content}
+                    </div>
+                `;
+        }
+    },
+    
+    /**
+     * イベントの日時・場所のレンダリング
+     */
+    renderEventDetails(event) {
+        if (!event) return '';
+        
+        let html = '<dl class="post-event-details">';
+        
+        if (event.start_time) {
+            const start = AppUtils.formatDate(event.start_time);
+            const end = event.end_time ? ` 〜 ${AppUtils.formatDate(event.end_time)}` : '';
+            html += `
+                <dt>日時</dt>
+                <dd><time datetime="${AppUtils.escapeHtml(event.start_time)}">${AppUtils.escapeHtml(start)}</time>${AppUtils.escapeHtml(end)}</dd>
+            `;
+        }
+        
+        if (event.location) {
+            const location = event.location_url
+                ? `<a href="${AppUtils.escapeHtml(event.location_url)}" target="_blank" rel="noopener">${AppUtils.escapeHtml(event.location)}</a>`
+                : AppUtils.escapeHtml(event.location);
+            html += `
+                <dt>場所</dt>
+                <dd>${location}</dd>
+            `;
+        }
+        
+        html += '</dl>';
+        
+        return html;
+    },
+    
+    /**
+     * 記事・イベント等、Note以外の投稿の種類を示すバッジ
+     */
+    renderKindBadge(post) {
+        if (post.kind === 'note') return '';
+        
+        const labels = {
+            Article: '記事',
+            Page: 'ページ',
+            Event: 'イベント'
+        };
+        const label = labels[post.object_type] || post.object_type;
+        
+        return ` <span class="post-kind-badge">${AppUtils.escapeHtml(label)}</span>`;
+    },
+    
+    /**
+     * コンテンツ警告（CW）のレンダリング
+     */
+    renderContentWarning(warning, bodyId, expanded) {
+        return `
+            <div class="post-cw">
+                <p class="post-cw-text"><span aria-hidden="true">⚠️</span> ${AppUtils.escapeHtml(warning)}</p>
+                <button type="button" class="cw-toggle" aria-expanded="${expanded}" aria-controls="${bodyId}">
+                    ${expanded ? '隠す' : '内容を表示'}
+                </button>
+            </div>
+        `;
+    },
+    
+    /**
+     * CWで折りたたまれた本文の表示切り替え
+     */
+    setContentWarningExpanded(button, expanded) {
+        const body = document.getElementById(button.getAttribute('aria-controls'));
+        if (!body) return;
+        
+        body.hidden = !expanded;
+        button.setAttribute('aria-expanded', String(expanded));
+        button.textContent = expanded ? '隠す' : '内容を表示';
+    },
+    
+    /**
+     * 閲覧注意メディアの表示切り替え
+     */
+    setSensitiveMediaRevealed(button, revealed) {
+        const media = button.closest('.sensitive-media');
+        if (!media) return;
+        
+        const content = media.querySelector('.sensitive-media-content');
+        media.classList.toggle('is-concealed', !revealed);
+        if (content) {
+            // 隠している間はメディア内のリンク等にフォーカスが移らないようにする
+            content.inert = !revealed;
+        }
+        button.setAttribute('aria-pressed', String(revealed));
+        button.textContent = revealed ? 'メディアを隠す' : '閲覧注意のメディア（クリックで表示）';
+    },
+    
+    /**
+     * 「CWを常に展開」設定の変更
+     */
+    setExpandContentWarnings(enabled) {
+        this.settings.expandContentWarnings = enabled;
+        AppUtils.storage.set('expandContentWarnings', enabled);
+        
+        // 表示中の投稿にも反映
+        document.querySelectorAll('.cw-toggle').forEach(button => {
+            this.setContentWarningExpanded(button, enabled);
+        });
+        
+        console.log('CW常時展開設定:', enabled);
+    },
+    
+    /**
+     * ブーストヘッダーのレンダリング
+     */
+    renderBoostHeader(boostedBy) {
+        const boosterName = this.replaceEmojis(AppUtils.escapeHtml(boostedBy.name || 'Unknown User'), boostedBy.emojis);
+        const boosterAvatar = boostedBy.avatar
+            ? `<img src="${AppUtils.escapeHtml(boostedBy.avatar)}" alt="" class="post-boost-avatar">`
+            : '';
+        const boostedAt = boostedBy.boosted_at
+            ? ` <time datetime="${AppUtils.escapeHtml(boostedBy.boosted_at)}" title="${AppUtils.escapeHtml(AppUtils.formatDate(boostedBy.boosted_at))}">${AppUtils.escapeHtml(AppUtils.getRelativeTime(boostedBy.boosted_at))}</time>`
+            : '';
+        
+        return `
+            <div class="post-boost-header">
+                <span aria-hidden="true">🔁</span>
+                ${boosterAvatar}
+                <span>${boosterName} がブースト${boostedAt}</span>
+            </div>
+        `;
+    },
+    
     /**
      * 投稿内容の処理
+     * contentはAPI側でサニタイズ済みのHTML
      */
-    processContent(content) {
+    processContent(content, { emojis = [], mentions = [], hashtags = [] } = {}) {
         if (!content || content.trim() === '') {
             return '<p class="empty-content" style="color: #999; font-style: italic;">内容がありません</p>';
         }
         
-        // HTMLタグが含まれている場合はそのまま表示（サニタイズ済み）
-        if (content.includes('<')) {
-            return `<div class="content-html">${content}</div>`;
+        const html = this.decorateLinks(content, mentions, hashtags);
+        
+        return `<div class="content-html">${this.replaceEmojis(html, emojis)}</div>`;
+    },
+    
+    /**
+     * 本文中のリンクをメンション・ハッシュタグ・通常リンクに分類して属性を付与
+     * メンション・ハッシュタグはtag配列（構造化データ）と照合できたものだけをアプリ内リンクにする
+     */
+    decorateLinks(html, mentions = [], hashtags = []) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        
+        const links = template.content.querySelectorAll('a[href]');
+        if (links.length === 0) {
+            return html;
+        }
+        
+        const hashtagNames = new Set(hashtags.map(hashtag => hashtag.name.toLowerCase()));
+        
+        links.forEach(link => {
+            const mention = this.findMention(link, mentions);
+            if (mention) {
+                link.classList.add('mention-link');
+                link.setAttribute('data-mention-href', mention.href);
+                link.setAttribute('title', mention.name || mention.href);
+                link.removeAttribute('target');
+                return;
+            }
+            
+            const hashtag = this.findHashtag(link, hashtagNames);
+            if (hashtag) {
+                link.classList.add('hashtag-link');
+                link.setAttribute('data-hashtag', hashtag);
+                link.setAttribute('title', `#${hashtag} で絞り込む`);
+                link.removeAttribute('target');
+                return;
+            }
+            
+            link.setAttribute('target', '_blank');
+            link.setAttribute('rel', 'nofollow noopener noreferrer');
+        });
+        
+        return template.innerHTML;
+    },
+    
+    /**
+     * リンクに対応するメンションを探す（hrefが一致しない場合は「@user」とホストで照合）
+     */
+    findMention(link, mentions) {
+        if (mentions.length === 0) return null;
+        
+        const href = link.getAttribute('href');
+        const byHref = mentions.find(mention => mention.href === href);
+        if (byHref) return byHref;
+        
+        const text = link.textContent.trim();
+        if (!text.startsWith('@')) return null;
+        
+        let host = '';
+        try {
+            host = new URL(href).host;
+        } catch (error) {
+            return null;
+        }
+        
+        const username = text.slice(1).split('@')[0].toLowerCase();
+        
+        return mentions.find(mention => {
+            const [name, mentionHost] = mention.name.replace(/^@/, '').toLowerCase().split('@');
+            return name === username && mentionHost === host.toLowerCase();
+        }) || null;
+    },
+    
+    /**
+     * リンクに対応するハッシュタグ名（小文字）を返す
+     */
+    findHashtag(link, hashtagNames) {
+        const text = link.textContent.trim();
+        if (!text.startsWith('#')) return null;
+        
+        const name = text.slice(1).toLowerCase();
+        if (hashtagNames.has(name) || link.classList.contains('hashtag')) {
+            return name;
+        }
+        
+        return null;
+    },
+    
+    /**
+     * メンションされたActorをビューア内で表示
+     */
+    openMention(actorUrl) {
+        if (!actorUrl || !window.FormHandler) return;
+        
+        if (window.ThreadView && ThreadView.isOpen()) {
+            ThreadView.close();
         }
         
-        // プレーンテキストの場合は段落に変換
-        return `<p>${AppUtils.escapeHtml(content)}</p>`;
+        FormHandler.setActorUrl(actorUrl);
+        FormHandler.handleSubmit();
+    },
+    
+    /**
+     * 読み込み済みの投稿をハッシュタグで絞り込む（nullで解除）
+     */
+    filterByHashtag(hashtag) {
+        // スレッド表示中の場合は投稿一覧に戻ってから絞り込む
+        if (hashtag && window.ThreadView && ThreadView.isOpen()) {
+            ThreadView.close();
+        }
+        
+        if (window.PostFilter) {
+            PostFilter.setHashtag(hashtag);
+        }
+    },
+    
+    /**
+     * 絞り込みのリセット
+     */
+    resetFilter() {
+        if (window.PostFilter) {
+            PostFilter.reset();
+        }
+    },
+    
+    /**
+     * :shortcode: をカスタム絵文字の画像に置換
+     * エスケープ済みのHTMLを受け取り、タグの外側のテキストのみを置換する
+     */
+    replaceEmojis(html, emojis) {
+        if (!html || !Array.isArray(emojis) || emojis.length === 0) {
+            return html;
+        }
+        
+        const emojiMap = new Map(emojis.map(emoji => [emoji.shortcode, emoji.url]));
+        
+        return html.split(/(<[^>]*>)/).map(segment => {
+            if (segment.startsWith('<')) {
+                return segment;
+            }
+            
+            return segment.replace(/:([a-zA-Z0-9_+-]+):/g, (match, shortcode) => {
+                const url = emojiMap.get(shortcode);
+                if (typeof url !== 'string' || !url.startsWith('https://')) return match;
+                
+                const label = AppUtils.escapeHtml(`:${shortcode}:`);
+                return `<img src="${AppUtils.escapeHtml(url)}" alt="${label}" title="${label}" class="custom-emoji" draggable="false" loading="lazy">`;
+            });
+        }).join('');
+    },
+    
+    /**
+     * 投票結果のレンダリング（得票率の横棒グラフ）
+     */
+    renderPoll(poll, emojis = []) {
+        // 複数選択の場合は投票者数を母数にする（票数の合計だと割合が小さく見えるため）
+        const total = poll.multiple && poll.voters_count ? poll.voters_count : poll.votes_count;
+        const maxVotes = Math.max(...poll.options.map(option => option.votes_count || 0));
+        
+        const options = poll.options.map(option => {
+            const votes = option.votes_count;
+            const percent = votes !== null && total > 0 ? Math.round((votes / total) * 100) : 0;
+            const isLeading = poll.closed && votes !== null && votes > 0 && votes === maxVotes;
+            const title = this.replaceEmojis(AppUtils.escapeHtml(option.title), emojis);
+            const votesLabel = votes !== null ? `${votes}票` : '非公開';
+            
+            return `
+                <li class="poll-option${isLeading ? ' is-leading' : ''}">
+                    <div class="poll-option-label">
+                        <span class="poll-option-title">${title}</span>
+                        <span class="poll-option-percent">${votes !== null ? `${percent}%` : ''}</span>
+                    </div>
+                    <div class="poll-bar" role="img" aria-label="${AppUtils.escapeHtml(`${option.title}: ${votesLabel}（${percent}%）`)}">
+                        <span class="poll-bar-fill" style="width: ${percent}%;"></span>
+                    </div>
+                </li>
+            `;
+        }).join('');
+        
+        const summary = [
+            poll.multiple ? '複数選択' : '単一選択',
+            poll.voters_count !== null ? `${this.formatCount(poll.voters_count)}人が投票` : `${this.formatCount(poll.votes_count)}票`,
+            this.formatPollStatus(poll)
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="post-poll${poll.closed ? ' is-closed' : ''}">
+                <ul class="poll-options">
+                    ${options}
+                </ul>
+                <p class="poll-summary">${AppUtils.escapeHtml(summary)}</p>
+            </div>
+        `;
+    },
+    
+    /**
+     * 投票の締め切り状況
+     */
+    formatPollStatus(poll) {
+        if (poll.closed) {
+            return poll.end_time ? `${AppUtils.formatDate(poll.end_time)} に終了` : '終了';
+        }
+        
+        if (!poll.end_time) return '';
+        
+        const remainingMinutes = Math.floor((new Date(poll.end_time) - new Date()) / (1000 * 60));
+        if (remainingMinutes < 1) return 'まもなく終了';
+        if (remainingMinutes < 60) return `残り${remainingMinutes}分`;
+        if (remainingMinutes < 60 * 24) return `残り${Math.floor(remainingMinutes / 60)}時間`;
+        
+        return `残り${Math.floor(remainingMinutes / (60 * 24))}日`;
     },
     
     /**
      * 添付ファイルのレンダリング
      */
-    renderAttachments(attachments) {
+    renderAttachments(attachments, sensitive = false) {
         if (!attachments || attachments.length === 0) {
             return '';
         }
         
         let html = '<div class="post-attachments">';
         
-        attachments.forEach((attachment, index) => {
-            if (attachment.type === 'image' && attachment.url) {
-                const altText = attachment.alt_text || '添付画像';
-                html += `
-                    <img 
-                        src="${AppUtils.escapeHtml(attachment.url)}" 
-                        alt="${AppUtils.escapeHtml(altText)}"
-                        class="attachment-image"
-                        loading="lazy"
-                        style="max-width: ${AppUtils.getConfig('display.maxImageWidth', 600)}px;"
-                        onerror="this.style.display='none'; this.nextElementSibling.style.display='block';"
-                    >
+        attachments.forEach(attachment => {
+            if (attachment.url) {
+                html += this.renderAttachment(attachment);
+            }
+        });
+        
+        html += '</div>';
+        
+        // 閲覧注意の場合はぼかして表示し、クリックで解除
+        if (sensitive) {
+            html = `
+                <div class="sensitive-media is-concealed">
+                    <button type="button" class="sensitive-toggle" aria-pressed="false">閲覧注意のメディア（クリックで表示）</button>
+                    <div class="sensitive-media-content" inert>
+                        ${html}
+                    </div>
+                </div>
+            `;
+        }
+        
+        return html;
+    },
+    
+    /**
+     * 添付ファイル1件のレンダリング（種別ごとにプレーヤーを切り替え）
+     */
+    renderAttachment(attachment) {
+        const url = AppUtils.escapeHtml(attachment.url);
+        const altText = AppUtils.escapeHtml(attachment.alt_text || '');
+        const poster = attachment.poster ? ` poster="${AppUtils.escapeHtml(attachment.poster)}"` : '';
+        const style = this.getMediaStyle(attachment);
+        const enableImages = AppUtils.getConfig('display.enableImages', true);
+        
+        // 画像表示が無効の場合、画像・動画は読み込まずにリンクのみ表示
+        if (!enableImages && ['image', 'video', 'gifv'].includes(attachment.type)) {
+            const label = { image: '🖼️ 画像', video: '🎬 動画', gifv: '🎞️ GIF' }[attachment.type];
+            return this.renderAttachmentLink(attachment, label);
+        }
+        
+        switch (attachment.type) {
+            case 'image':
+                // クリックでライトボックス表示（修飾キー付きの場合は新しいタブで開く）
+                return `
+                    <a href="${url}" target="_blank" rel="noopener" class="attachment-image-link" data-alt="${altText}" aria-label="画像を拡大表示${altText ? `: ${altText}` : ''}">
+                        <img 
+                            src="${url}" 
+                            alt="${altText || '添付画像'}"
+                            class="attachment-image"
+                            loading="lazy"
+                            style="${style}"
+                            onerror="this.parentElement.style.display='none'; this.parentElement.nextElementSibling.style.display='block';"
+                        >
+                    </a>
                     <div class="image-error" style="display: none; background: #f0f0f0; padding: 1rem; border-radius: 4px; color: #666;">
                         画像を読み込めませんでした
                     </div>
                 `;
-            } else if (attachment.url) {
-                // その他のファイル形式
-                html += `
-                    <div class="attachment-file">
-                        <a href="${AppUtils.escapeHtml(attachment.url)}" target="_blank" rel="noopener" class="attachment-link">
-                            📎 ${AppUtils.escapeHtml(attachment.alt_text || 'ファイル')}
-                        </a>
-                    </div>
+                
+            case 'video':
+                return `
+                    <video class="attachment-video" src="${url}"${poster} controls preload="metadata" playsinline style="${style}"${altText ? ` aria-label="${altText}" title="${altText}"` : ''}>
+                        ${this.renderAttachmentLink(attachment, '🎬 動画')}
+                    </video>
+                `;
+                
+            case 'gifv': {
+                // GIFアニメ相当のため無音ループ再生（視差効果を減らす設定の場合は自動再生しない）
+                const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+                const playback = reduceMotion ? 'controls' : 'autoplay';
+                return `
+                    <video class="attachment-video attachment-gifv" src="${url}"${poster} ${playback} loop muted playsinline preload="metadata" style="${style}"${altText ? ` aria-label="${altText}" title="${altText}"` : ''}>
+                        ${this.renderAttachmentLink(attachment, '🎞️ GIF')}
+                    </video>
                 `;
             }
-        });
+                
+            case 'audio': {
+                const cover = attachment.poster && enableImages
+                    ? `<img src="${AppUtils.escapeHtml(attachment.poster)}" alt="" class="attachment-audio-cover" loading="lazy">`
+                    : '';
+                return `
+                    <figure class="attachment-audio">
+                        ${cover}
+                        <audio src="${url}" controls preload="none"${altText ? ` aria-label="${altText}"` : ''}>
+                            ${this.renderAttachmentLink(attachment, '🔊 音声')}
+                        </audio>
+                        ${altText ? `<figcaption>${altText}</figcaption>` : ''}
+                    </figure>
+                `;
+            }
+                
+            default:
+                // その他のファイル形式
+                return this.renderAttachmentLink(attachment, '📎 ファイル');
+        }
+    },
+    
+    /**
+     * 添付ファイルへのリンク（プレーヤー非対応時・画像表示無効時のフォールバック）
+     */
+    renderAttachmentLink(attachment, label) {
+        const text = attachment.alt_text ? `${label}: ${attachment.alt_text}` : label;
         
-        html += '</div>';
-        return html;
+        return `
+            <div class="attachment-file">
+                <a href="${AppUtils.escapeHtml(attachment.url)}" target="_blank" rel="noopener" class="attachment-link">
+                    ${AppUtils.escapeHtml(text)}
+                </a>
+            </div>
+        `;
+    },
+    
+    /**
+     * 画像・動画のサイズ指定（width/heightがあれば縦横比を確保してレイアウトのずれを防ぐ）
+     */
+    getMediaStyle(attachment) {
+        let style = `max-width: ${AppUtils.getConfig('display.maxImageWidth', 600)}px;`;
+        
+        if (attachment.width && attachment.height) {
+            style += ` aspect-ratio: ${attachment.width} / ${attachment.height};`;
+        }
+        
+        return style;
     },
     
     /**
@@ -273,7 +1213,8 @@ const PostRenderer = {
         // 他のセクションを非表示
         const sectionsToHide = [
             'loading-section',
-            'error-section'
+            'error-section',
+            'thread-section'
         ];
         
         sectionsToHide.forEach(sectionId => {
@@ -299,6 +1240,10 @@ const PostRenderer = {
      * 結果のクリア
      */
     clear() {
+        this.resetPagination();
+        this.resetFilter();
+        this.hideOfflineBanner();
+        
         if (this.elements.actorInfo) {
             this.elements.actorInfo.innerHTML = '';
         }
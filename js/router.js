@@ -0,0 +1,227 @@
+/**
+ * Router - URLによる表示状態の共有
+ * 表示中のActor・スレッド・絞り込み条件をアドレスバーに反映し、読み込み時と戻る・進む操作で復元する
+ *
+ * URLの形式: ?actor=<URLまたはハンドル>&q=...&type=...#post=<投稿のURL>
+ */
+
+const Router = {
+    /**
+     * 絞り込み条件（PostFilter.criteria）とクエリパラメータ名の対応
+     */
+    filterParams: {
+        query: 'q',
+        type: 'type',
+        language: 'lang',
+        dateFrom: 'from',
+        dateTo: 'to',
+        mediaOnly: 'media',
+        hideReplies: 'noreplies',
+        hashtag: 'tag'
+    },
+    
+    // アドレスバーに反映済みの表示状態 { actor, post, filter }
+    current: {
+        actor: null,
+        post: null,
+        filter: {}
+    },
+    
+    // URLからの復元中（この間の表示の変更は履歴を増やさずに置き換える）
+    restoring: false,
+    restoreId: 0,
+    
+    /**
+     * 初期化（URLで指定された表示の復元）
+     */
+    init() {
+        if (!window.history?.pushState) {
+            console.warn('Router: History API が利用できません');
+            return;
+        }
+        
+        window.addEventListener('popstate', () => {
+            this.restore(this.parse(window.location));
+        });
+        
+        const state = this.parse(window.location);
+        if (state.actor || state.post) {
+            this.restore(state);
+        }
+        
+        console.log('Router 初期化完了');
+    },
+    
+    /**
+     * URLから表示状態を読み取る
+     */
+    parse(location) {
+        const params = new URLSearchParams(location.search);
+        const hash = new URLSearchParams(location.hash.replace(/^#/, ''));
+        const defaults = window.PostFilter ? PostFilter.defaultCriteria : {};
+        const filter = {};
+        
+        Object.entries(this.filterParams).forEach(([key, param]) => {
+            const value = params.get(param);
+            if (value === null || value === '') return;
+            
+            if (typeof defaults[key] === 'boolean') {
+                filter[key] = value === '1';
+            } else if (key === 'dateFrom' || key === 'dateTo') {
+                if (/^\d{4}-\d{2}-\d{2}$/.test(value)) filter[key] = value;
+            } else if (key === 'type') {
+                if (['all', 'original', 'boost'].includes(value)) filter[key] = value;
+            } else {
+                filter[key] = key === 'query' ? value : value.toLowerCase();
+            }
+        });
+        
+        return {
+            actor: params.get('actor') || null,
+            post: hash.get('post') || null,
+            filter
+        };
+    },
+    
+    /**
+     * 表示状態からURL（パス以降）を生成する
+     */
+    buildUrl(state) {
+        const params = new URLSearchParams();
+        const defaults = window.PostFilter ? PostFilter.defaultCriteria : {};
+        
+        if (state.actor) {
+            params.set('actor', state.actor);
+        }
+        
+        // 条件なしと同じ値は省略する
+        Object.entries(this.filterParams).forEach(([key, param]) => {
+            const value = state.filter?.[key];
+            if (value === undefined || value === null || value === '' || value === defaults[key]) return;
+            
+            params.set(param, value === true ? '1' : String(value));
+        });
+        
+        const search = params.toString();
+        const hash = state.post ? `#post=${encodeURIComponent(state.post)}` : '';
+        
+        return `${window.location.pathname}${search ? `?${search}` : ''}${hash}`;
+    },
+    
+    /**
+     * 表示状態の変更をアドレスバーに反映
+     * replace: true の場合、または復元中は履歴を増やさずに置き換える
+     */
+    navigate(changes, { replace = false } = {}) {
+        const state = { ...this.current, ...changes };
+        const url = this.buildUrl(state);
+        this.current = state;
+        
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+        
+        try {
+            if (replace || this.restoring) {
+                window.history.replaceState(null, '', url);
+            } else {
+                window.history.pushState(null, '', url);
+            }
+        } catch (error) {
+            console.warn('Router: 履歴の更新エラー:', error);
+        }
+    },
+    
+    /**
+     * Actorの表示（同じActorの再取得では履歴を増やさない）
+     */
+    recordActor(actorUrl) {
+        this.navigate({ actor: actorUrl, post: null, filter: {} }, {
+            replace: this.current.actor === actorUrl
+        });
+    },
+    
+    /**
+     * ウォッチリストのタイムラインの表示（URLでは共有できないため、Actorの指定を外す）
+     */
+    recordTimeline() {
+        this.navigate({ actor: null, post: null, filter: {} });
+    },
+    
+    /**
+     * スレッドの表示（nullで投稿一覧に戻る）
+     */
+    recordThread(postUrl) {
+        this.navigate({ post: postUrl || null });
+    },
+    
+    /**
+     * 絞り込み条件の変更（入力のたびに履歴を増やさないよう置き換える）
+     */
+    recordFilter(criteria) {
+        this.navigate({ filter: criteria }, { replace: true });
+    },
+    
+    /**
+     * URLの表示状態の復元
+     * Actorが異なる場合は取得し直し、表示できた場合のみ絞り込みとスレッドを復元する
+     */
+    async restore(state) {
+        const restoreId = ++this.restoreId;
+        this.restoring = true;
+        
+        try {
+            if (state.actor !== this.current.actor) {
+                if (state.actor) {
+                    FormHandler.setActorUrl(state.actor);
+                    await FormHandler.handleSubmit();
+                } else {
+                    this.clearView();
+                }
+            }
+            
+            // 復元中に別の復元が始まった場合、またはActorを表示できなかった場合
+            if (restoreId !== this.restoreId || state.actor !== this.current.actor) return;
+            
+            if (window.PostFilter) {
+                PostFilter.setCriteria(state.filter);
+            }
+            
+            if (state.post) {
+                if (!ThreadView.isOpen() || ThreadView.currentPostUrl !== state.post) {
+                    ThreadView.open(state.post);
+                }
+            } else {
+                ThreadView.close();
+            }
+            
+            // 復元した表示とアドレスバーを一致させる
+            this.navigate({
+                post: state.post,
+                filter: window.PostFilter ? PostFilter.getCriteria() : state.filter
+            });
+            
+        } finally {
+            if (restoreId === this.restoreId) {
+                this.restoring = false;
+            }
+        }
+    },
+    
+    /**
+     * Actorの指定がないURLに戻った場合の表示のクリア
+     */
+    clearView() {
+        this.current = { actor: null, post: null, filter: {} };
+        
+        if (window.WatchList) {
+            WatchList.cancel();
+        }
+        FormHandler.reset();
+        ThreadView.close();
+        PostRenderer.clear();
+        ErrorHandler.hide();
+        LoadingManager.hide();
+    }
+};
+
+// グローバルに公開
+window.Router = Router;
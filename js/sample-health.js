@@ -0,0 +1,245 @@
+/**
+ * SampleHealth - サンプルURLの確認
+ * すべてのサンプルのActorをAPI経由で取得してみて、状態・応答時間・サーバーのソフトウェアを各サンプルに表示する
+ */
+
+const SampleHealth = {
+    elements: {
+        checkButton: null,
+        summary: null,
+        sampleList: null
+    },
+    
+    config: {
+        slowThreshold: 3000, // ミリ秒
+        concurrency: 3
+    },
+    
+    // 状態ごとの表示名
+    statusLabels: {
+        checking: '確認中',
+        ok: 'OK',
+        slow: '低速',
+        not_actor: 'Actorではない',
+        unreachable: '到達不能'
+    },
+    
+    // 「Actorではない」として扱うエラーコード（それ以外の失敗は到達不能）
+    notActorCodes: ['INVALID_ACTOR', 'PROFILE_PAGE_UNRESOLVED', 'JSON_ERROR', 'INVALID_URL'],
+    
+    // URLごとの確認結果 { status, latencyMs, software, actorId, message }
+    results: new Map(),
+    
+    // 確認中の処理の中止用
+    controller: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.elements.checkButton = document.getElementById('sample-check-button');
+        this.elements.summary = document.getElementById('sample-check-summary');
+        this.elements.sampleList = document.getElementById('sample-url-list');
+        
+        this.config.slowThreshold = AppUtils.getConfig('sampleCheck.slowThreshold', this.config.slowThreshold);
+        this.config.concurrency = AppUtils.getConfig('sampleCheck.concurrency', this.config.concurrency);
+        
+        if (!this.elements.checkButton || !this.elements.sampleList) {
+            console.warn('SampleHealth: 必要な要素が見つかりません');
+            return;
+        }
+        
+        this.elements.checkButton.addEventListener('click', () => {
+            if (this.isChecking()) {
+                this.cancel();
+            } else {
+                this.checkAll();
+            }
+        });
+        
+        console.log('SampleHealth 初期化完了');
+    },
+    
+    /**
+     * 確認中か
+     */
+    isChecking() {
+        return this.controller !== null;
+    },
+    
+    /**
+     * すべてのサンプルの確認（同じURLのサンプルは1回だけ確認する）
+     */
+    async checkAll() {
+        this.cancel();
+        
+        const controller = new AbortController();
+        this.controller = controller;
+        
+        const urls = [...new Set(SampleUrls.getSamples().map(sample => sample.url))];
+        this.results.clear();
+        urls.forEach(url => this.results.set(url, { status: 'checking' }));
+        this.setCheckingState(true);
+        this.updateBadges();
+        this.updateSummary();
+        
+        let next = 0;
+        const worker = async () => {
+            while (next < urls.length && !controller.signal.aborted) {
+                const url = urls[next++];
+                const result = await this.probe(url, controller.signal);
+                if (controller.signal.aborted) return;
+                
+                this.results.set(url, result);
+                this.updateBadges();
+                this.updateSummary();
+            }
+        };
+        
+        const workers = Array.from({ length: Math.max(1, Math.min(this.config.concurrency, urls.length)) }, worker);
+        await Promise.all(workers);
+        
+        if (this.controller !== controller) return;
+        
+        this.controller = null;
+        this.setCheckingState(false);
+        this.updateBadges();
+        this.updateSummary();
+    },
+    
+    /**
+     * 確認の中止（未確認のサンプルの結果は消す）
+     */
+    cancel() {
+        if (!this.controller) return;
+        
+        this.controller.abort();
+        this.controller = null;
+        
+        this.results.forEach((result, url) => {
+            if (result.status === 'checking') {
+                this.results.delete(url);
+            }
+        });
+        
+        this.setCheckingState(false);
+        this.updateBadges();
+        this.updateSummary('確認を中止しました。');
+    },
+    
+    /**
+     * 1件のサンプルの確認
+     */
+    async probe(url, signal) {
+        try {
+            const data = await ApiClient.probeActor(url, { signal });
+            const latencyMs = data.meta?.latency_ms ?? null;
+            
+            return {
+                status: latencyMs !== null && latencyMs >= this.config.slowThreshold ? 'slow' : 'ok',
+                latencyMs,
+                software: data.software || null,
+                actorId: data.actor_info?.id || data.meta?.actor_url || null,
+                message: ''
+            };
+        } catch (error) {
+            const code = error?.error?.code || 'UNKNOWN_ERROR';
+            
+            return {
+                status: this.notActorCodes.includes(code) ? 'not_actor' : 'unreachable',
+                latencyMs: null,
+                software: null,
+                actorId: null,
+                message: error?.error?.user_message || error?.error?.message || code
+            };
+        }
+    },
+    
+    /**
+     * 確認中の表示の切り替え
+     */
+    setCheckingState(checking) {
+        this.elements.checkButton.textContent = checking ? '確認を中止' : 'すべて確認';
+        this.elements.sampleList.setAttribute('aria-busy', String(checking));
+    },
+    
+    /**
+     * サンプルの状態表示のHTML生成（SampleUrls.createSampleItem から呼ばれる）
+     * index はサンプルの並び順の位置（重複の判定用）
+     */
+    renderBadge(url, index) {
+        const result = this.results.get(url);
+        if (!result) return '';
+        
+        const details = [];
+        if (result.latencyMs !== null && result.latencyMs !== undefined) {
+            details.push(`${result.latencyMs}ms`);
+        }
+        if (result.software) {
+            details.push([result.software.name, result.software.version].filter(Boolean).join(' '));
+        }
+        if (result.message) {
+            details.push(result.message);
+        }
+        
+        const duplicate = this.findDuplicate(url, index);
+        if (duplicate) {
+            details.push(`${duplicate.name}と同じActor`);
+        }
+        
+        const detail = details.length > 0
+            ? `<span class="sample-health-detail">${AppUtils.escapeHtml(details.join(' · '))}</span>`
+            : '';
+        
+        return `<span class="sample-health-badge is-${result.status.replace('_', '-')}">${this.statusLabels[result.status]}</span>${detail}`;
+    },
+    
+    /**
+     * 同じURL、または同じActorを指す、先に並んでいるサンプル
+     */
+    findDuplicate(url, index) {
+        const actorId = this.results.get(url)?.actorId;
+        
+        return SampleUrls.getSamples().slice(0, Math.max(0, index)).find(sample => sample.url === url
+            || (actorId && this.results.get(sample.url)?.actorId === actorId)) || null;
+    },
+    
+    /**
+     * 表示中のサンプルの状態表示の更新
+     */
+    updateBadges() {
+        this.elements.sampleList.querySelectorAll('.sample-health').forEach(element => {
+            element.innerHTML = this.renderBadge(element.getAttribute('data-url'), Number(element.getAttribute('data-index')));
+        });
+    },
+    
+    /**
+     * 確認結果の集計の表示
+     */
+    updateSummary(prefix = '') {
+        if (!this.elements.summary) return;
+        
+        const counts = {};
+        this.results.forEach(result => {
+            counts[result.status] = (counts[result.status] || 0) + 1;
+        });
+        
+        const total = this.results.size;
+        const done = total - (counts.checking || 0);
+        const parts = ['ok', 'slow', 'not_actor', 'unreachable']
+            .filter(status => counts[status])
+            .map(status => `${this.statusLabels[status]} ${counts[status]}件`);
+        
+        let message = '';
+        if (this.isChecking()) {
+            message = `確認中（${done}/${total}件）`;
+        } else if (total > 0) {
+            message = `${total}件を確認しました: ${parts.join('、')}`;
+        }
+        
+        this.elements.summary.textContent = [prefix, message].filter(Boolean).join(' ');
+    }
+};
+
+// グローバルに公開
+window.SampleHealth = SampleHealth;
@@ -1,51 +1,191 @@
 /**
  * SampleUrls - サンプルURL機能
- * サンプルURLの表示と選択機能を担当
+ * サンプルURLの表示と選択機能、利用者によるサンプルの編集・保存を担当
  */
 
 const SampleUrls = {
     elements: {
         sampleList: null,
-        actorUrlInput: null
+        actorUrlInput: null,
+        editToggle: null,
+        editor: null,
+        form: null,
+        formTitle: null,
+        nameInput: null,
+        urlInput: null,
+        descriptionInput: null,
+        softwareInput: null,
+        softwareOptions: null,
+        submitButton: null,
+        cancelEditButton: null,
+        exportButton: null,
+        importButton: null,
+        importInput: null,
+        resetButton: null,
+        status: null
     },
     
+    // APP_CONFIG.sampleUrls（標準のサンプル）の複製
+    builtinSamples: [],
+    
+    // 表示するサンプル（標準のサンプルと利用者のサンプルを統合したもの）
+    samples: [],
+    
+    // 編集モード中か、フォームで編集中のサンプルの位置（追加の場合は -1）
+    editing: false,
+    editingIndex: -1,
+    
+    // ソフトウェアが指定されていないサンプルのグループ名
+    defaultGroup: 'その他',
+    
     /**
      * 初期化
      */
     init() {
         this.elements.sampleList = document.getElementById('sample-url-list');
         this.elements.actorUrlInput = document.getElementById('actor-url');
+        this.elements.editToggle = document.getElementById('sample-edit-toggle');
+        this.elements.editor = document.getElementById('sample-editor');
+        this.elements.form = document.getElementById('sample-form');
+        this.elements.formTitle = document.getElementById('sample-form-title');
+        this.elements.nameInput = document.getElementById('sample-name');
+        this.elements.urlInput = document.getElementById('sample-url');
+        this.elements.descriptionInput = document.getElementById('sample-description');
+        this.elements.softwareInput = document.getElementById('sample-software');
+        this.elements.softwareOptions = document.getElementById('sample-software-options');
+        this.elements.submitButton = document.getElementById('sample-form-submit');
+        this.elements.cancelEditButton = document.getElementById('sample-form-cancel');
+        this.elements.exportButton = document.getElementById('sample-export-button');
+        this.elements.importButton = document.getElementById('sample-import-button');
+        this.elements.importInput = document.getElementById('sample-import-input');
+        this.elements.resetButton = document.getElementById('sample-reset-button');
+        this.elements.status = document.getElementById('sample-editor-status');
         
         if (!this.elements.sampleList) {
             console.warn('SampleUrls: sample-url-list要素が見つかりません');
             return;
         }
         
+        this.builtinSamples = AppUtils.getConfig('sampleUrls', [])
+            .map(sample => this.normalizeSample(sample))
+            .filter(Boolean);
+        this.samples = this.loadSamples();
+        
+        this.attachEventListeners();
+        this.attachEditorListeners();
         this.renderSampleUrls();
         console.log('SampleUrls 初期化完了');
     },
     
     /**
-     * サンプルURLリストをレンダリング
+     * 保存済みのサンプルの読み込みと標準のサンプルとの統合
+     * 保存済みの一覧に、まだ取り込んでいない標準のサンプル（設定で追加されたもの）を末尾に加える
+     */
+    loadSamples() {
+        const stored = AppUtils.storage.get('customSampleUrls', null);
+        if (!stored) {
+            return this.builtinSamples.map(sample => ({ ...sample }));
+        }
+        
+        // 以前の形式（ソフトウェアの指定がない、標準のサンプルを含む配列）も読み込む
+        const storedSamples = Array.isArray(stored) ? stored : stored.samples;
+        const builtinSoftware = new Map(this.builtinSamples.map(sample => [sample.url, sample.software]));
+        const samples = (Array.isArray(storedSamples) ? storedSamples : [])
+            .map(sample => this.normalizeSample(Array.isArray(stored)
+                ? { ...sample, software: sample?.software || builtinSoftware.get(sample?.url) }
+                : sample))
+            .filter(Boolean);
+        const knownBuiltins = new Set(Array.isArray(stored.knownBuiltins)
+            ? stored.knownBuiltins
+            : samples.map(sample => sample.url));
+        
+        this.builtinSamples.forEach(sample => {
+            if (!knownBuiltins.has(sample.url)) {
+                samples.push({ ...sample });
+            }
+        });
+        
+        return samples;
+    },
+    
+    /**
+     * サンプルの保存（取り込み済みの標準のサンプルを記録し、削除・編集した標準のサンプルが復活しないようにする）
+     */
+    saveSamples() {
+        const saved = AppUtils.storage.set('customSampleUrls', {
+            samples: this.samples,
+            knownBuiltins: [...new Set(this.builtinSamples.map(sample => sample.url))]
+        });
+        
+        this.renderSampleUrls();
+        return saved;
+    },
+    
+    /**
+     * サンプルの形式の正規化（不正な場合はnull）
+     */
+    normalizeSample(sample) {
+        if (!sample || typeof sample !== 'object') return null;
+        
+        const name = String(sample.name || '').trim().slice(0, 100);
+        const url = String(sample.url || '').trim();
+        if (!name || !this.isValidSampleUrl(url)) return null;
+        
+        return {
+            name,
+            url,
+            description: String(sample.description || '').trim().slice(0, 200),
+            software: String(sample.software || '').trim().slice(0, 50)
+        };
+    },
+    
+    /**
+     * サンプルとして使えるURLか（HTTPSのURLまたはハンドル）
+     */
+    isValidSampleUrl(url) {
+        return url.length <= 500 && (AppUtils.isValidUrl(url) || AppUtils.isAcctHandle(url));
+    },
+    
+    /**
+     * 表示中のサンプルの取得
+     */
+    getSamples() {
+        return this.samples.map(sample => ({ ...sample }));
+    },
+    
+    /**
+     * サンプルURLリストをレンダリング（ソフトウェアごとにまとめ、グループは最初に現れた順）
      */
     renderSampleUrls() {
-        const sampleUrls = AppUtils.getConfig('sampleUrls', []);
+        this.elements.sampleList.classList.toggle('is-editing', this.editing);
+        this.updateSoftwareOptions();
         
-        if (sampleUrls.length === 0) {
+        if (this.samples.length === 0) {
             this.elements.sampleList.innerHTML = '<p class="no-samples">サンプルURLが設定されていません。</p>';
             return;
         }
         
+        const groups = new Map();
+        this.samples.forEach((sample, index) => {
+            const group = sample.software || this.defaultGroup;
+            if (!groups.has(group)) {
+                groups.set(group, []);
+            }
+            groups.get(group).push(index);
+        });
+        
         let html = '';
         
-        sampleUrls.forEach((sample, index) => {
-            html += this.createSampleItem(sample, index);
+        groups.forEach((indexes, group) => {
+            html += `
+                <section class="sample-group">
+                    <h4 class="sample-group-title">${AppUtils.escapeHtml(group)}</h4>
+                    ${indexes.map(index => this.createSampleItem(this.samples[index], index)).join('')}
+                </section>
+            `;
         });
         
         this.elements.sampleList.innerHTML = html;
-        
-        // イベントリスナーを追加
-        this.attachEventListeners();
     },
     
     /**
@@ -56,6 +196,18 @@ const SampleUrls = {
         const escapedDescription = AppUtils.escapeHtml(sample.description || '');
         const escapedUrl = AppUtils.escapeHtml(sample.url || '');
         
+        // 編集モードでは並べ替え・編集・削除のボタンを表示
+        const editControls = this.editing
+            ? `
+                <div class="sample-edit-controls">
+                    <button type="button" class="sample-control-button sample-move-button" data-index="${index}" data-direction="-1" aria-label="${escapedName}を上へ移動"${this.findSibling(index, -1) === -1 ? ' disabled' : ''}>↑</button>
+                    <button type="button" class="sample-control-button sample-move-button" data-index="${index}" data-direction="1" aria-label="${escapedName}を下へ移動"${this.findSibling(index, 1) === -1 ? ' disabled' : ''}>↓</button>
+                    <button type="button" class="sample-control-button sample-edit-button" data-index="${index}" aria-label="${escapedName}を編集">編集</button>
+                    <button type="button" class="sample-control-button sample-remove-button" data-index="${index}" aria-label="${escapedName}を削除">削除</button>
+                </div>
+            `
+            : '';
+        
         return `
             <div class="sample-item" data-index="${index}">
                 <div class="sample-info">
@@ -64,7 +216,9 @@ const SampleUrls = {
                     <div class="sample-url" style="font-size: 0.75rem; color: #999; margin-top: 0.25rem; word-break: break-all;">
                         ${escapedUrl}
                     </div>
+                    <div class="sample-health" data-url="${escapedUrl}" data-index="${index}">${window.SampleHealth ? SampleHealth.renderBadge(sample.url, index) : ''}</div>
                 </div>
+                ${editControls}
                 <button 
                     type="button" 
                     class="sample-button" 
@@ -80,16 +234,37 @@ const SampleUrls = {
     },
     
     /**
-     * イベントリスナーの追加
+     * イベントリスナーの追加（再描画しても重複しないよう一覧に委譲）
      */
     attachEventListeners() {
-        const sampleButtons = this.elements.sampleList.querySelectorAll('.sample-button');
-        
-        sampleButtons.forEach(button => {
-            button.addEventListener('click', (event) => {
+        this.elements.sampleList.addEventListener('click', (event) => {
+            const sampleButton = event.target.closest('.sample-button');
+            if (sampleButton) {
                 event.preventDefault();
-                this.handleSampleSelection(button);
-            });
+                this.handleSampleSelection(sampleButton);
+                return;
+            }
+            
+            const moveButton = event.target.closest('.sample-move-button');
+            if (moveButton) {
+                this.moveSample(Number(moveButton.getAttribute('data-index')), Number(moveButton.getAttribute('data-direction')));
+                return;
+            }
+            
+            const editButton = event.target.closest('.sample-edit-button');
+            if (editButton) {
+                this.startEdit(Number(editButton.getAttribute('data-index')));
+                return;
+            }
+            
+            const removeButton = event.target.closest('.sample-remove-button');
+            if (removeButton) {
+                const index = Number(removeButton.getAttribute('data-index'));
+                const sample = this.samples[index];
+                if (sample && this.removeSample(index)) {
+                    this.showStatus(`${sample.name}を削除しました。`);
+                }
+            }
         });
         
         // キーボード操作対応
@@ -104,6 +279,166 @@ const SampleUrls = {
         });
     },
     
+    /**
+     * 編集画面のイベントリスナーの設定
+     */
+    attachEditorListeners() {
+        if (this.elements.editToggle) {
+            this.elements.editToggle.addEventListener('click', () => this.setEditing(!this.editing));
+        }
+        
+        if (this.elements.form) {
+            this.elements.form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.handleFormSubmit();
+            });
+        }
+        
+        if (this.elements.cancelEditButton) {
+            this.elements.cancelEditButton.addEventListener('click', () => this.resetForm());
+        }
+        
+        if (this.elements.exportButton) {
+            this.elements.exportButton.addEventListener('click', () => this.exportSamples());
+        }
+        
+        if (this.elements.importButton && this.elements.importInput) {
+            this.elements.importButton.addEventListener('click', () => this.elements.importInput.click());
+            this.elements.importInput.addEventListener('change', async () => {
+                const file = this.elements.importInput.files?.[0];
+                this.elements.importInput.value = '';
+                if (file) {
+                    this.importSamples(await file.text());
+                }
+            });
+        }
+        
+        if (this.elements.resetButton) {
+            this.elements.resetButton.addEventListener('click', () => {
+                if (window.confirm('追加・編集したサンプルを削除して、標準のサンプルに戻しますか？')) {
+                    this.resetSamples();
+                }
+            });
+        }
+    },
+    
+    /**
+     * 編集モードの切り替え
+     */
+    setEditing(editing) {
+        this.editing = editing;
+        
+        if (this.elements.editor) {
+            this.elements.editor.hidden = !editing;
+        }
+        if (this.elements.editToggle) {
+            this.elements.editToggle.setAttribute('aria-expanded', String(editing));
+            this.elements.editToggle.textContent = editing ? '編集を終了' : '編集';
+        }
+        
+        this.resetForm();
+        this.renderSampleUrls();
+    },
+    
+    /**
+     * フォームの送信（追加または編集の保存）
+     */
+    handleFormSubmit() {
+        const sample = {
+            name: this.elements.nameInput?.value,
+            url: this.elements.urlInput?.value,
+            description: this.elements.descriptionInput?.value,
+            software: this.elements.softwareInput?.value
+        };
+        
+        if (!String(sample.name || '').trim()) {
+            this.showStatus('名前を入力してください。');
+            this.elements.nameInput?.focus();
+            return;
+        }
+        if (!this.isValidSampleUrl(String(sample.url || '').trim())) {
+            this.showStatus('HTTPSで始まるURL、または @ユーザー名@ドメイン 形式のハンドルを入力してください。');
+            this.elements.urlInput?.focus();
+            return;
+        }
+        
+        const isEdit = this.editingIndex >= 0;
+        const saved = isEdit
+            ? this.updateSample(this.editingIndex, sample)
+            : this.addCustomSample(sample);
+        
+        if (saved) {
+            this.showStatus(`${sample.name.trim()}を${isEdit ? '保存' : '追加'}しました。`);
+            this.resetForm();
+        } else {
+            this.showStatus('サンプルを保存できませんでした。');
+        }
+    },
+    
+    /**
+     * サンプルの編集開始（フォームに読み込む）
+     */
+    startEdit(index) {
+        const sample = this.samples[index];
+        if (!sample || !this.elements.form) return;
+        
+        this.editingIndex = index;
+        this.elements.nameInput.value = sample.name;
+        this.elements.urlInput.value = sample.url;
+        this.elements.descriptionInput.value = sample.description;
+        this.elements.softwareInput.value = sample.software;
+        
+        if (this.elements.formTitle) this.elements.formTitle.textContent = `${sample.name}を編集`;
+        if (this.elements.submitButton) this.elements.submitButton.textContent = '保存';
+        if (this.elements.cancelEditButton) this.elements.cancelEditButton.hidden = false;
+        
+        this.elements.nameInput.focus();
+    },
+    
+    /**
+     * フォームを追加用の状態に戻す
+     */
+    resetForm() {
+        this.editingIndex = -1;
+        
+        if (this.elements.form) this.elements.form.reset();
+        if (this.elements.formTitle) this.elements.formTitle.textContent = 'サンプルを追加';
+        if (this.elements.submitButton) this.elements.submitButton.textContent = '追加';
+        if (this.elements.cancelEditButton) this.elements.cancelEditButton.hidden = true;
+    },
+    
+    /**
+     * ソフトウェア名の入力候補（登録済みのサンプルから）
+     */
+    updateSoftwareOptions() {
+        if (!this.elements.softwareOptions) return;
+        
+        const names = [...new Set(this.samples.map(sample => sample.software).filter(Boolean))];
+        this.elements.softwareOptions.innerHTML = names
+            .map(name => `<option value="${AppUtils.escapeHtml(name)}"></option>`)
+            .join('');
+    },
+    
+    /**
+     * 同じグループ内の前後のサンプルの位置（ない場合は -1）
+     */
+    findSibling(index, direction) {
+        const group = this.samples[index]?.software || '';
+        for (let i = index + direction; i >= 0 && i < this.samples.length; i += direction) {
+            if ((this.samples[i].software || '') === group) return i;
+        }
+        return -1;
+    },
+    
+    /**
+     * 編集画面の操作結果の通知
+     */
+    showStatus(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    },
+    
     /**
      * サンプル選択時の処理
      */
@@ -111,7 +446,7 @@ const SampleUrls = {
         const url = button.getAttribute('data-url');
         const name = button.getAttribute('data-name');
         
-        if (!url || !AppUtils.isValidUrl(url)) {
+        if (!url || !this.isValidSampleUrl(url)) {
             console.error('無効なサンプルURL:', url);
             return;
         }
@@ -182,31 +517,19 @@ const SampleUrls = {
     },
     
     /**
-     * カスタムサンプルURLの追加（将来の拡張用）
+     * カスタムサンプルURLの追加
      */
     addCustomSample(sample) {
-        if (!sample.url || !sample.name) {
+        const normalized = this.normalizeSample(sample);
+        if (!normalized) {
             console.error('無効なサンプルデータ:', sample);
             return false;
         }
         
-        if (!AppUtils.isValidUrl(sample.url)) {
-            console.error('無効なURL:', sample.url);
-            return false;
-        }
-        
-        // 現在の設定に追加
-        const currentSamples = AppUtils.getConfig('sampleUrls', []);
-        const newSamples = [...currentSamples, sample];
+        this.samples.push(normalized);
         
-        // ローカルストレージに保存（設定が許可されている場合）
-        const saved = AppUtils.storage.set('customSampleUrls', newSamples);
-        
-        if (saved) {
-            // 再レンダリング
-            APP_CONFIG.sampleUrls = newSamples;
-            this.renderSampleUrls();
-            console.log('カスタムサンプル追加:', sample);
+        if (this.saveSamples()) {
+            console.log('カスタムサンプル追加:', normalized);
             return true;
         }
         
@@ -214,29 +537,137 @@ const SampleUrls = {
     },
     
     /**
-     * サンプルURLの削除（将来の拡張用）
+     * サンプルURLの編集
      */
-    removeSample(index) {
-        const currentSamples = AppUtils.getConfig('sampleUrls', []);
+    updateSample(index, sample) {
+        const normalized = this.normalizeSample(sample);
+        if (!normalized || index < 0 || index >= this.samples.length) {
+            console.error('無効なサンプルデータ:', index, sample);
+            return false;
+        }
         
-        if (index < 0 || index >= currentSamples.length) {
+        this.samples[index] = normalized;
+        console.log('サンプル編集:', index, normalized);
+        return this.saveSamples();
+    },
+    
+    /**
+     * サンプルURLの削除
+     */
+    removeSample(index) {
+        if (index < 0 || index >= this.samples.length) {
             console.error('無効なインデックス:', index);
             return false;
         }
         
-        const newSamples = currentSamples.filter((_, i) => i !== index);
+        this.samples.splice(index, 1);
         
-        // ローカルストレージに保存
-        const saved = AppUtils.storage.set('customSampleUrls', newSamples);
+        // 編集中のサンプルが削除された、または位置がずれた場合
+        if (this.editingIndex === index) {
+            this.resetForm();
+        } else if (this.editingIndex > index) {
+            this.editingIndex--;
+        }
         
-        if (saved) {
-            APP_CONFIG.sampleUrls = newSamples;
-            this.renderSampleUrls();
-            console.log('サンプル削除:', index);
-            return true;
+        console.log('サンプル削除:', index);
+        return this.saveSamples();
+    },
+    
+    /**
+     * サンプルURLの並べ替え（同じグループ内の前後のサンプルと入れ替える）
+     */
+    moveSample(index, direction) {
+        const target = this.findSibling(index, direction);
+        if (target === -1) return false;
+        
+        [this.samples[index], this.samples[target]] = [this.samples[target], this.samples[index]];
+        if (this.editingIndex === index) {
+            this.editingIndex = target;
+        } else if (this.editingIndex === target) {
+            this.editingIndex = index;
         }
         
-        return false;
+        const saved = this.saveSamples();
+        
+        // 移動したサンプルのボタンにフォーカスを戻す（端に達した場合は反対方向のボタン）
+        const buttons = this.elements.sampleList.querySelectorAll(`.sample-move-button[data-index="${target}"]`);
+        const focusTarget = [...buttons].find(button => button.getAttribute('data-direction') === String(direction) && !button.disabled)
+            || [...buttons].find(button => !button.disabled);
+        focusTarget?.focus();
+        
+        return saved;
+    },
+    
+    /**
+     * サンプルURLをJSONファイルとして書き出す
+     */
+    exportSamples() {
+        const json = JSON.stringify({ version: 1, samples: this.samples }, null, 2);
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'activitypub-viewer-samples.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        
+        this.showStatus(`${this.samples.length}件のサンプルを書き出しました。`);
+    },
+    
+    /**
+     * JSONからサンプルURLを読み込む（登録済みのURLは追加しない）
+     * { samples: [...] } 形式と配列のどちらも受け付ける
+     * @returns {number} 追加した件数（読み込めない場合は -1）
+     */
+    importSamples(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            console.warn('サンプルの読み込みエラー:', error);
+            this.showStatus('JSONとして読み込めませんでした。');
+            return -1;
+        }
+        
+        const entries = Array.isArray(data) ? data : data?.samples;
+        if (!Array.isArray(entries)) {
+            this.showStatus('サンプルの一覧が見つかりませんでした。');
+            return -1;
+        }
+        
+        const urls = new Set(this.samples.map(sample => sample.url));
+        let added = 0;
+        
+        entries.forEach(entry => {
+            const sample = this.normalizeSample(entry);
+            if (!sample || urls.has(sample.url)) return;
+            
+            urls.add(sample.url);
+            this.samples.push(sample);
+            added++;
+        });
+        
+        const skipped = entries.length - added;
+        if (added > 0) {
+            this.saveSamples();
+        }
+        
+        this.showStatus(`${added}件のサンプルを追加しました。` + (skipped > 0 ? `（${skipped}件は重複または不正なためスキップ）` : ''));
+        return added;
+    },
+    
+    /**
+     * 標準のサンプルに戻す
+     */
+    resetSamples() {
+        AppUtils.storage.remove('customSampleUrls');
+        this.samples = this.builtinSamples.map(sample => ({ ...sample }));
+        this.resetForm();
+        this.renderSampleUrls();
+        this.showStatus('標準のサンプルに戻しました。');
     },
     
     /**
@@ -248,7 +679,7 @@ const SampleUrls = {
         const invalidSamples = [];
         
         sampleUrls.forEach((sample, index) => {
-            if (sample.url && sample.name && AppUtils.isValidUrl(sample.url)) {
+            if (sample.url && sample.name && this.isValidSampleUrl(sample.url)) {
                 validSamples.push(sample);
             } else {
                 invalidSamples.push({ index, sample });
@@ -0,0 +1,298 @@
+/**
+ * ThreadView - スレッド表示
+ * 投稿の返信先（祖先）と返信（子孫）を取得し、会話として表示する
+ */
+
+const ThreadView = {
+    elements: {
+        threadSection: null,
+        threadContainer: null,
+        threadTitle: null,
+        backButton: null,
+        resultsSection: null,
+        postsContainer: null
+    },
+    
+    currentPostUrl: null,
+    requestId: 0,
+    abortController: null,
+    returnFocusElement: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.elements.threadSection = document.getElementById('thread-section');
+        this.elements.threadContainer = document.getElementById('thread-container');
+        this.elements.threadTitle = document.getElementById('thread-title');
+        this.elements.backButton = document.getElementById('thread-back-button');
+        this.elements.resultsSection = document.getElementById('results-section');
+        this.elements.postsContainer = document.getElementById('posts-container');
+        
+        if (!this.elements.threadSection || !this.elements.threadContainer) {
+            console.warn('ThreadView: 必要な要素が見つかりません');
+            return;
+        }
+        
+        this.attachEventListeners();
+        
+        console.log('ThreadView 初期化完了');
+    },
+    
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        // 「スレッドを表示」ボタン（投稿一覧・スレッド内の両方）
+        [this.elements.postsContainer, this.elements.threadContainer].forEach(container => {
+            if (!container) return;
+            
+            container.addEventListener('click', (event) => {
+                const button = event.target.closest('.post-thread-button');
+                if (button) {
+                    event.preventDefault();
+                    this.open(button.getAttribute('data-post-id'), button);
+                }
+            });
+        });
+        
+        // 戻るボタン
+        if (this.elements.backButton) {
+            this.elements.backButton.addEventListener('click', () => this.close());
+        }
+        
+        // Escapeキーで投稿一覧に戻る
+        this.elements.threadSection.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    },
+    
+    /**
+     * スレッドを開く
+     */
+    async open(postUrl, triggerElement = null) {
+        if (!postUrl) return;
+        
+        // 投稿一覧から開いた場合のみ、戻り先のフォーカスを記録
+        if (!this.isOpen()) {
+            this.returnFocusElement = triggerElement;
+        }
+        
+        const requestId = ++this.requestId;
+        this.currentPostUrl = postUrl;
+        
+        if (window.Router) {
+            Router.recordThread(postUrl);
+        }
+        
+        // 取得中の別のスレッドは中止する
+        this.abortRequest();
+        const controller = new AbortController();
+        this.abortController = controller;
+        
+        this.showSection();
+        this.renderLoading();
+        
+        try {
+            const data = await ApiClient.fetchThread(postUrl, {
+                onProgress: event => {
+                    if (requestId === this.requestId) {
+                        this.renderLoadingProgress(event);
+                    }
+                },
+                signal: controller.signal
+            });
+            
+            // 読み込み中に別のスレッドが開かれた、または閉じられた場合は破棄
+            if (requestId !== this.requestId) return;
+            
+            this.render(data.thread, data.meta || {});
+            
+        } catch (error) {
+            // 読み込み中に別のスレッドが開かれた、または閉じられた場合（中止を含む）は破棄
+            if (requestId !== this.requestId) return;
+            
+            console.error('スレッド取得エラー:', error);
+            this.renderError(error, postUrl);
+        }
+    },
+    
+    /**
+     * スレッドを閉じて投稿一覧に戻る
+     */
+    close() {
+        if (!this.isOpen()) return;
+        
+        this.requestId++;
+        this.currentPostUrl = null;
+        this.abortRequest();
+        
+        if (window.Router) {
+            Router.recordThread(null);
+        }
+        
+        AppUtils.toggleElement(this.elements.threadSection, false);
+        if (this.elements.resultsSection) {
+            AppUtils.toggleElement(this.elements.resultsSection, true);
+        }
+        
+        // 元の投稿にフォーカスを戻す
+        if (this.returnFocusElement && document.body.contains(this.returnFocusElement)) {
+            this.returnFocusElement.focus();
+        }
+        this.returnFocusElement = null;
+    },
+    
+    /**
+     * 取得中のスレッドの中止（中止されたリクエストの結果は requestId で破棄される）
+     */
+    abortRequest() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.abortController = null;
+        }
+    },
+    
+    /**
+     * スレッドセクションの表示
+     */
+    showSection() {
+        if (this.elements.resultsSection) {
+            AppUtils.toggleElement(this.elements.resultsSection, false);
+        }
+        
+        AppUtils.toggleElement(this.elements.threadSection, true);
+        
+        this.elements.threadSection.scrollIntoView({
+            behavior: 'smooth',
+            block: 'start'
+        });
+        
+        if (this.elements.threadTitle) {
+            this.elements.threadTitle.focus();
+        }
+    },
+    
+    /**
+     * 読み込み中の表示
+     */
+    renderLoading() {
+        this.elements.threadContainer.setAttribute('aria-busy', 'true');
+        this.elements.threadContainer.innerHTML = `
+            <div class="thread-status">
+                <div class="loading-spinner"></div>
+                <p>スレッドを取得しています...</p>
+            </div>
+        `;
+    },
+    
+    /**
+     * 読み込み中の進捗の表示（api.php の進捗イベント）
+     */
+    renderLoadingProgress(event) {
+        const text = this.elements.threadContainer.querySelector('.thread-status p');
+        if (text) {
+            text.textContent = LoadingManager.describeProgress(event).message;
+        }
+    },
+    
+    /**
+     * スレッドのレンダリング
+     */
+    render(thread, meta) {
+        this.elements.threadContainer.removeAttribute('aria-busy');
+        
+        if (!thread || !thread.post) {
+            this.renderError({ message: 'Empty thread' }, this.currentPostUrl);
+            return;
+        }
+        
+        let html = '';
+        let index = 0;
+        
+        if (meta.offline_copy) {
+            html += `<p class="thread-notice">オフラインのコピー（${AppUtils.escapeHtml(AppUtils.getRelativeTime(meta.offline_copy))}に取得）を表示しています。</p>`;
+        }
+        
+        if (meta.rate_limited) {
+            html += `<p class="thread-notice">リモートサーバーの制限により、一部の投稿を取得できませんでした（約${AppUtils.escapeHtml(String(meta.rate_limited))}秒後に再取得できます）。</p>`;
+        }
+        
+        if (meta.ancestors_truncated) {
+            html += '<p class="thread-notice">これより前の投稿は取得できませんでした。</p>';
+        }
+        
+        thread.ancestors.forEach(post => {
+            html += this.renderEntry(post, index++, 'ancestor', 0);
+        });
+        
+        html += this.renderEntry(thread.post, index++, 'focus', 0);
+        
+        thread.descendants.forEach(post => {
+            html += this.renderEntry(post, index++, 'descendant', post.depth);
+        });
+        
+        if (thread.descendants.length === 0) {
+            html += '<p class="thread-notice">返信はありません。</p>';
+        } else if (meta.descendants_truncated) {
+            html += '<p class="thread-notice">返信の一部のみ表示しています。</p>';
+        }
+        
+        this.elements.threadContainer.innerHTML = html;
+        
+        console.log('スレッド表示完了:', {
+            post: thread.post.id,
+            ancestors: thread.ancestors.length,
+            descendants: thread.descendants.length
+        });
+    },
+    
+    /**
+     * スレッド内の1投稿のレンダリング（返信の深さに応じてインデント）
+     * 投稿の位置づけ（返信先・選択した投稿・返信）を読み上げるため、ラベル付きのグループにする
+     */
+    renderEntry(post, index, role, depth) {
+        const label = {
+            ancestor: '返信先の投稿',
+            focus: '選択した投稿',
+            descendant: '返信'
+        }[role];
+        
+        return `
+            <div class="thread-entry thread-${role}" style="--thread-depth: ${Math.min(depth, 5)};" role="group" aria-label="${label}">
+                ${PostRenderer.renderPost(post, index)}
+            </div>
+        `;
+    },
+    
+    /**
+     * エラー表示（投稿一覧は残したまま、スレッド内に表示）
+     */
+    renderError(error, postUrl) {
+        this.elements.threadContainer.removeAttribute('aria-busy');
+        
+        const apiError = ApiClient.transformError(error);
+        
+        this.elements.threadContainer.innerHTML = `
+            <div class="thread-status thread-error" role="alert">
+                <p>${AppUtils.escapeHtml(apiError.error.user_message)}</p>
+                <button type="button" class="btn btn-secondary thread-retry-button">再試行</button>
+            </div>
+        `;
+        
+        const retryButton = this.elements.threadContainer.querySelector('.thread-retry-button');
+        retryButton.addEventListener('click', () => this.open(postUrl));
+    },
+    
+    /**
+     * スレッド表示中かどうか
+     */
+    isOpen() {
+        return !!this.elements.threadSection && this.elements.threadSection.style.display !== 'none';
+    }
+};
+
+// グローバルに公開
+window.ThreadView = ThreadView;
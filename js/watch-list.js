@@ -0,0 +1,413 @@
+/**
+ * WatchList - ウォッチリスト
+ * 保存した複数のActorの投稿を並列に取得し、日時順に1つのタイムラインにまとめて表示する
+ */
+
+const WatchList = {
+    elements: {
+        watchList: null,
+        watchItems: null,
+        addButton: null,
+        loadButton: null,
+        status: null,
+        actorInfo: null
+    },
+    
+    config: {
+        maxActors: 30,
+        concurrency: 4,
+        postsPerActor: 10
+    },
+    
+    // 直近の取得結果（Actor URL => { posts, error, actorInfo }）
+    results: new Map(),
+    isLoading: false,
+    
+    // まとめて取得中のリクエストの AbortController
+    abortController: null,
+    
+    /**
+     * 初期化
+     */
+    init() {
+        this.elements.watchList = document.getElementById('watch-list');
+        this.elements.watchItems = document.getElementById('watch-list-items');
+        this.elements.addButton = document.getElementById('watch-add-current');
+        this.elements.loadButton = document.getElementById('watch-load-button');
+        this.elements.status = document.getElementById('watch-list-status');
+        this.elements.actorInfo = document.getElementById('actor-info');
+        
+        if (!this.elements.watchList || !this.elements.watchItems) {
+            console.warn('WatchList: 必要な要素が見つかりません');
+            return;
+        }
+        
+        this.config.maxActors = AppUtils.getConfig('watchList.maxActors', this.config.maxActors);
+        this.config.concurrency = AppUtils.getConfig('watchList.concurrency', this.config.concurrency);
+        this.config.postsPerActor = AppUtils.getConfig('watchList.postsPerActor', this.config.postsPerActor);
+        
+        this.attachEventListeners();
+        this.renderList();
+        
+        console.log('WatchList 初期化完了');
+    },
+    
+    /**
+     * イベントリスナーの設定
+     */
+    attachEventListeners() {
+        // 入力欄のURL・ハンドルを追加
+        if (this.elements.addButton) {
+            this.elements.addButton.addEventListener('click', () => {
+                const url = FormHandler.getActorUrl();
+                const validationResult = FormHandler.validateInput(url);
+                if (!validationResult.isValid) {
+                    FormHandler.showValidationError(validationResult.message);
+                    return;
+                }
+                this.add(url);
+            });
+        }
+        
+        if (this.elements.loadButton) {
+            this.elements.loadButton.addEventListener('click', () => this.loadTimeline());
+        }
+        
+        // 一覧からの削除
+        this.elements.watchItems.addEventListener('click', (event) => {
+            const removeButton = event.target.closest('.watch-remove-button');
+            if (removeButton) {
+                this.remove(removeButton.getAttribute('data-url'));
+            }
+        });
+        
+        // 表示中のActorの追加・取得失敗したActorの再試行（結果エリア内）
+        if (this.elements.actorInfo) {
+            this.elements.actorInfo.addEventListener('click', (event) => {
+                const addButton = event.target.closest('.watch-add-button');
+                if (addButton) {
+                    this.add(addButton.getAttribute('data-actor-url'), addButton.getAttribute('data-actor-name'));
+                    addButton.disabled = true;
+                    addButton.textContent = 'ウォッチリストに追加済み';
+                    return;
+                }
+                
+                const retryButton = event.target.closest('.watch-retry-button');
+                if (retryButton) {
+                    this.retryActor(retryButton.getAttribute('data-url'));
+                }
+            });
+        }
+    },
+    
+    /**
+     * 保存済みのウォッチリストの取得
+     */
+    getItems() {
+        const items = AppUtils.storage.get('watchList', []);
+        return Array.isArray(items) ? items.filter(item => item && typeof item.url === 'string') : [];
+    },
+    
+    /**
+     * ウォッチリストの保存
+     */
+    saveItems(items) {
+        AppUtils.storage.set('watchList', items);
+        this.renderList();
+    },
+    
+    /**
+     * Actorの追加
+     */
+    add(url, name = '') {
+        url = (url || '').trim();
+        if (!url) return false;
+        
+        const items = this.getItems();
+        
+        if (items.some(item => item.url === url)) {
+            this.announce('すでにウォッチリストに登録されています。');
+            return false;
+        }
+        
+        if (items.length >= this.config.maxActors) {
+            this.announce(`ウォッチリストに登録できるのは${this.config.maxActors}件までです。`);
+            return false;
+        }
+        
+        items.push({
+            url: url,
+            name: name || '',
+            added_at: new Date().toISOString()
+        });
+        this.saveItems(items);
+        this.announce(`${name || url} をウォッチリストに追加しました。`);
+        
+        console.log('ウォッチリストに追加:', url);
+        return true;
+    },
+    
+    /**
+     * Actorの削除
+     */
+    remove(url) {
+        const items = this.getItems().filter(item => item.url !== url);
+        this.saveItems(items);
+        this.results.delete(url);
+        this.announce('ウォッチリストから削除しました。');
+    },
+    
+    /**
+     * 取得結果の表示名を保存（初回登録時は名前がわからないため）
+     */
+    updateNames() {
+        let changed = false;
+        const items = this.getItems().map(item => {
+            const name = this.results.get(item.url)?.actorInfo?.name;
+            if (name && name !== item.name) {
+                changed = true;
+                return { ...item, name };
+            }
+            return item;
+        });
+        
+        if (changed) {
+            this.saveItems(items);
+        }
+    },
+    
+    /**
+     * ウォッチリストのレンダリング
+     */
+    renderList() {
+        const items = this.getItems();
+        
+        if (items.length === 0) {
+            this.elements.watchItems.innerHTML = '<li class="watch-empty">登録されたアカウントはありません。</li>';
+        } else {
+            this.elements.watchItems.innerHTML = items.map(item => {
+                const label = AppUtils.escapeHtml(item.name || item.url);
+                const url = AppUtils.escapeHtml(item.url);
+                return `
+                    <li class="watch-item">
+                        <span class="watch-item-name" title="${url}">${label}</span>
+                        <button type="button" class="watch-remove-button" data-url="${url}" aria-label="${label}をウォッチリストから削除">削除</button>
+                    </li>
+                `;
+            }).join('');
+        }
+        
+        if (this.elements.loadButton) {
+            this.elements.loadButton.disabled = items.length === 0;
+            this.elements.loadButton.textContent = `まとめて表示（${items.length}件）`;
+        }
+    },
+    
+    /**
+     * ウォッチリスト全体のタイムラインを取得して表示
+     */
+    async loadTimeline() {
+        const items = this.getItems();
+        if (items.length === 0 || this.isLoading || FormHandler.isProcessing) return;
+        
+        const controller = new AbortController();
+        this.abortController = controller;
+        this.isLoading = true;
+        this.results.clear();
+        
+        try {
+            LoadingManager.show(`${items.length}件のアカウントの投稿を取得しています...`, {
+                onCancel: () => controller.abort()
+            });
+            
+            let completed = 0;
+            await this.runWithConcurrency(items, this.config.concurrency, async (item) => {
+                if (controller.signal.aborted) return;
+                await this.fetchActor(item.url, controller.signal);
+                completed++;
+                LoadingManager.setProgress(
+                    Math.round((completed / items.length) * 100),
+                    `${completed} / ${items.length} 件のアカウントを取得しました`
+                );
+            });
+            
+            // キャンセルされた場合、または別のリクエストに切り替えられた場合は表示しない
+            if (controller.signal.aborted) {
+                console.log('ウォッチリストの取得を中止しました');
+                return;
+            }
+            
+            this.render();
+            this.updateNames();
+            
+            if (window.Router) {
+                Router.recordTimeline();
+            }
+            
+            // 単一Actor表示に戻ったときに同じURLでも取得し直せるようにする
+            FormHandler.lastSubmittedUrl = null;
+            
+        } finally {
+            // 切り替え先のリクエストのローディング表示は残す
+            if (this.abortController === controller) {
+                LoadingManager.hide();
+                this.abortController = null;
+            }
+            this.isLoading = false;
+        }
+    },
+    
+    /**
+     * 別のリクエストに切り替えるための中止（ローディング表示は切り替え先に任せる）
+     * @returns {boolean} 中止した取得があったか
+     */
+    cancel() {
+        if (!this.abortController) return false;
+        
+        this.abortController.abort();
+        this.abortController = null;
+        return true;
+    },
+    
+    /**
+     * 1件のActorの取得（失敗しても例外を投げず、結果に記録する。中止された場合は記録しない）
+     */
+    async fetchActor(url, signal = null) {
+        try {
+            const data = await ApiClient.fetchPosts(url, this.config.postsPerActor, { signal });
+            this.results.set(url, {
+                posts: data.posts || [],
+                actorInfo: data.actor_info || null,
+                error: null
+            });
+        } catch (error) {
+            if (ApiClient.isCancelled(error)) return;
+            
+            console.error('ウォッチリスト取得エラー:', url, error);
+            this.results.set(url, {
+                posts: [],
+                actorInfo: null,
+                error: ApiClient.transformError(error)
+            });
+        }
+    },
+    
+    /**
+     * 取得に失敗したActorのみ再取得
+     */
+    async retryActor(url) {
+        if (this.isLoading) return;
+        
+        this.isLoading = true;
+        const failure = this.elements.actorInfo.querySelector(`.watch-failure[data-url="${CSS.escape(url)}"]`);
+        if (failure) {
+            failure.classList.add('is-retrying');
+        }
+        
+        try {
+            await this.fetchActor(url);
+            this.render();
+            this.updateNames();
+        } finally {
+            this.isLoading = false;
+        }
+    },
+    
+    /**
+     * 取得結果を日時順にまとめて表示
+     */
+    render() {
+        const seen = new Set();
+        const posts = [];
+        const failures = [];
+        
+        this.getItems().forEach(item => {
+            const result = this.results.get(item.url);
+            if (!result) return;
+            
+            if (result.error) {
+                failures.push({ item, error: result.error });
+                return;
+            }
+            
+            result.posts.forEach(post => {
+                // 複数のActorがブーストした同じ投稿は1件にまとめる
+                const key = post.id || `${item.url}#${posts.length}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                posts.push(post);
+            });
+        });
+        
+        // 新しい順（ブーストはブーストした日時を基準にする）
+        const timestamp = post => new Date(post.boosted_by?.boosted_at || post.published_at).getTime() || 0;
+        posts.sort((a, b) => timestamp(b) - timestamp(a));
+        
+        PostRenderer.render({
+            posts: posts,
+            meta: { next_cursor: null }
+        });
+        
+        this.renderSummary(posts.length, failures);
+    },
+    
+    /**
+     * まとめ表示のヘッダー（Actor情報の代わり）
+     */
+    renderSummary(postCount, failures) {
+        if (!this.elements.actorInfo) return;
+        
+        const succeeded = this.results.size - failures.length;
+        
+        const failureList = failures.length > 0
+            ? `
+                <ul class="watch-failures" role="alert">
+                    ${failures.map(({ item, error }) => `
+                        <li class="watch-failure" data-url="${AppUtils.escapeHtml(item.url)}">
+                            <span class="watch-failure-name">${AppUtils.escapeHtml(item.name || item.url)}</span>
+                            <span class="watch-failure-message">${AppUtils.escapeHtml(error.error.user_message)}</span>
+                            <button type="button" class="btn btn-secondary watch-retry-button" data-url="${AppUtils.escapeHtml(item.url)}">再試行</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            `
+            : '';
+        
+        this.elements.actorInfo.innerHTML = `
+            <div class="watch-summary">
+                <h2>ウォッチリスト</h2>
+                <p class="watch-summary-counts">
+                    ${succeeded}件のアカウントから${postCount}件の投稿
+                    ${failures.length > 0 ? `（${failures.length}件のアカウントは取得できませんでした）` : ''}
+                </p>
+                ${failureList}
+            </div>
+        `;
+    },
+    
+    /**
+     * 同時実行数を制限して非同期処理を実行
+     */
+    async runWithConcurrency(items, limit, task) {
+        const queue = [...items];
+        const workers = Array.from({ length: Math.min(limit, queue.length) }, async () => {
+            while (queue.length > 0) {
+                await task(queue.shift());
+            }
+        });
+        
+        await Promise.all(workers);
+    },
+    
+    /**
+     * スクリーンリーダー向けの状態通知
+     */
+    announce(message) {
+        if (this.elements.status) {
+            this.elements.status.textContent = message;
+        }
+    }
+};
+
+// グローバルに公開
+window.WatchList = WatchList;
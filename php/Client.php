@@ -7,6 +7,56 @@
  */
 class Client
 {
+    /**
+     * 1リクエストで辿るoutboxページ数の上限
+     */
+    private const MAX_PAGES_PER_REQUEST = 3;
+
+    /**
+     * スレッド取得時に辿る返信先（祖先）の上限
+     */
+    private const MAX_THREAD_ANCESTORS = 10;
+
+    /**
+     * スレッド取得時に取得する返信（子孫）の上限
+     */
+    private const MAX_THREAD_DESCENDANTS = 40;
+
+    /**
+     * スレッド取得時に辿る返信の深さの上限
+     */
+    private const MAX_THREAD_DEPTH = 5;
+
+    /**
+     * 返信コレクション1つあたりに辿るページ数の上限
+     */
+    private const MAX_REPLY_PAGES = 2;
+
+    /**
+     * リモートホストごとに連続して送れるリクエスト数（トークンバケットの容量）
+     */
+    private const HOST_RATE_LIMIT_CAPACITY = 20;
+
+    /**
+     * リモートホストごとに1秒あたりに補充されるリクエスト数
+     */
+    private const HOST_RATE_LIMIT_REFILL = 4.0;
+
+    /**
+     * レート制限で待機する最大秒数（これを超える場合はRATE_LIMITEDとして失敗させる）
+     */
+    private const MAX_RATE_LIMIT_WAIT = 2.0;
+
+    /**
+     * 投稿・Actorを並列に取得する際の同時リクエスト数の上限
+     */
+    private const MAX_CONCURRENT_REQUESTS = 6;
+
+    /**
+     * 並列取得する1リクエストあたりのタイムアウト（秒）。遅いサーバーの投稿1件で全体が止まらないよう短めにする
+     */
+    private const ITEM_REQUEST_TIMEOUT = 5;
+
     /**
      * @var int HTTPリクエストのタイムアウト秒数
      */
@@ -22,15 +72,76 @@ class Client
      */
     private array $allowedDomains;
 
+    /**
+     * @var array Actor情報のキャッシュ（1リクエスト内で同じActorを再取得しないため）
+     */
+    private array $actorInfoCache = [];
+
+    /**
+     * @var ResponseCache|null リモートレスポンスのキャッシュ（nullの場合は毎回取得）
+     */
+    private ?ResponseCache $cache;
+
+    /**
+     * @var bool trueの場合は有効期間内のキャッシュも使わず、必ずリモートに問い合わせる（条件付きリクエストは行う）
+     */
+    private bool $forceRefresh;
+
+    /**
+     * @var RateLimiter|null リモートホストごとのレート制限（nullの場合は制限しない）
+     */
+    private ?RateLimiter $rateLimiter;
+
+    /**
+     * @var int|null レート制限で取得できなかったリクエストがあった場合の、再試行できるまでの最大秒数
+     */
+    private ?int $rateLimitedFor = null;
+
+    /**
+     * @var array 取得・解析に失敗してスキップしたoutboxアイテム（レスポンスの meta.failed_items）
+     */
+    private array $itemFailures = [];
+
+    /**
+     * @var Closure|null 進捗の通知先（api.phpのストリーミングレスポンス等）
+     */
+    private ?Closure $progressListener = null;
+
+    /**
+     * @var Closure|null 取得を中止すべきか（クライアントの切断等）を返す関数
+     */
+    private ?Closure $cancellationCheck = null;
+
+    /**
+     * @var bool 中止済みか（以降のリクエストは送信しない）
+     */
+    private bool $cancelled = false;
+
+    /**
+     * @var array このリクエストでのキャッシュ利用状況
+     */
+    private array $cacheStats = [
+        'hits' => 0,
+        'revalidated' => 0,
+        'misses' => 0,
+        'oldest_stored_at' => null
+    ];
+
     /**
      * コンストラクタ
      * @param int $timeout HTTPタイムアウト（秒）
      * @param array $allowedDomains 許可ドメインリスト
+     * @param ResponseCache|null $cache レスポンスキャッシュ
+     * @param bool $forceRefresh キャッシュの有効期間を無視して再取得するか
+     * @param RateLimiter|null $rateLimiter リモートホストごとのレート制限
      */
-    public function __construct(int $timeout = 10, array $allowedDomains = [])
+    public function __construct(int $timeout = 10, array $allowedDomains = [], ?ResponseCache $cache = null, bool $forceRefresh = false, ?RateLimiter $rateLimiter = null)
     {
         $this->timeout = $timeout;
         $this->allowedDomains = $allowedDomains;
+        $this->cache = $cache;
+        $this->forceRefresh = $forceRefresh;
+        $this->rateLimiter = $rateLimiter;
         $this->httpHeaders = [
             'Accept: application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"',
             'User-Agent: ActivityPubWebViewer/1.0 (+https://yourdomain.com/about)',
@@ -39,10 +150,37 @@ class Client
         ];
     }
 
+    /**
+     * 進捗の通知先を設定する
+     * リスナーは段階（webfinger / actor / outbox / posts / post / ancestors / replies）と、
+     * 件数がわかる段階では処理済み件数・予定件数を受け取る
+     *
+     * @param callable|null $listener function (string $stage, ?int $current, ?int $total): void
+     * @return void
+     */
+    public function setProgressListener(?callable $listener): void
+    {
+        $this->progressListener = $listener !== null ? Closure::fromCallable($listener) : null;
+    }
+
+    /**
+     * 中止の判定関数を設定する
+     * リモートへのリクエストの送信前と並列取得の待機中に呼び出し、trueを返した場合は
+     * 以降のリクエストを送信せずに FetchException（CANCELLED）を投げる
+     *
+     * @param callable|null $check function (): bool
+     * @return void
+     */
+    public function setCancellationCheck(?callable $check): void
+    {
+        $this->cancellationCheck = $check !== null ? Closure::fromCallable($check) : null;
+    }
+
     /**
      * 指定されたActorの公開投稿を取得する
      *
-     * @param string $actorUrl ActorのURL (例: https://mastodon.social/users/Gargron)
+     * @param string $actorUrl ActorのURL (例: https://mastodon.social/users/Gargron)、
+     *                         またはハンドル (例: @Gargron@mastodon.social, acct:Gargron@mastodon.social)
      * @param int $maxPosts 取得する最大投稿数
      * @return array 取得結果 ['posts' => Note[], 'actor_info' => array, 'meta' => array, 'debug_unparsed' => array]
      * @throws FetchException データ取得に失敗した場合
@@ -52,16 +190,16 @@ class Client
     {
         // ★解析失敗アイテムを格納するデバッグ用配列
         $debug_unparsed_items = [];
-        // 1. URLバリデーション (Validatorに一元化)
-        Validator::validateUrl($actorUrl, $this->allowedDomains);
         
-        // 2. Actorオブジェクトを取得
-        $actorJson = $this->httpGet($actorUrl);
+        // 0-3. Actorオブジェクトの取得とバリデーション
+        $requestedUrl = $actorUrl;
+        $actor = $this->resolveActor($actorUrl);
+        $actorJson = $actor['json'];
+        $actorUrl = $actor['url'];
+        $resolvedVia = $actor['resolved_via'];
         
-        // 3. Actorデータのバリデーション
-        if (!Validator::validateActorObject($actorJson)) {
-            throw new ParseException('有効なActivityPub Actorではありません。', ParseException::INVALID_ACTOR);
-        }
+        // 3.1. 投稿者情報の補完で再取得しないよう、Actor情報をキャッシュしておく
+        $this->actorInfoCache[$actorJson['id']] = $this->extractActorInfo($actorJson);
         
         // 4. outboxのURLを取得
         $outboxUrl = $actorJson['outbox'] ?? null;
@@ -70,14 +208,17 @@ class Client
         }
 
         // 5. outboxのコレクションを取得
+        $this->reportProgress('outbox');
         $outboxCollection = $this->httpGet($outboxUrl);
         
         // 5.1. outboxが直接アイテムリストを持たず、'first'ページへのリンクだけを持つ場合に対応
         if (isset($outboxCollection['first']) && is_string($outboxCollection['first'])) {
             // 'first'ページのURLから、実際のアイテムが含まれるページを取得する
-            $outboxPage = $this->httpGet($outboxCollection['first']);
+            $outboxPageUrl = $outboxCollection['first'];
+            $outboxPage = $this->httpGet($outboxPageUrl);
         } else {
             // 'first'がない場合は、このオブジェクト自体がアイテムページだと判断
+            $outboxPageUrl = $outboxUrl;
             $outboxPage = $outboxCollection;
         }
         
@@ -88,7 +229,7 @@ class Client
         }
 
         // 7. 投稿データの取得（ページネーション対応）
-        $extractResult = $this->extractNotesFromOutbox($outboxPage, $maxPosts, $debug_unparsed_items);
+        $extractResult = $this->extractNotesFromOutbox($outboxPage, $outboxPageUrl, $maxPosts, $debug_unparsed_items);
         $notes = $extractResult['notes'];
         $debug_unparsed_items = $extractResult['debug_unparsed'];
         
@@ -100,7 +241,13 @@ class Client
             'count' => count($notes),
             'fetched_at' => date('c'),
             'actor_url' => $actorUrl,
-            'outbox_url' => $outboxUrl
+            'requested_url' => $requestedUrl,
+            'resolved_via' => $resolvedVia,
+            'outbox_url' => $outboxUrl,
+            'next_cursor' => $extractResult['next_cursor'],
+            'cache' => $this->getCacheInfo(),
+            'rate_limited' => $this->rateLimitedFor,
+            'failed_items' => $this->itemFailures
         ];
         
         return [
@@ -112,17 +259,368 @@ class Client
         ];
     }
 
+    /**
+     * Actorを取得できるかを確認する（投稿は取得しない）
+     * サンプルURLの確認用に、Actorの取得にかかった時間と、NodeInfoから分かるサーバーのソフトウェアを返す
+     *
+     * @param string $actorUrl ActorのURLまたはハンドル
+     * @return array 取得結果 ['actor_info' => array, 'software' => array|null, 'meta' => array]
+     *               softwareは ['name' => string, 'version' => ?string]（NodeInfoを取得できない場合はnull）
+     * @throws FetchException データ取得に失敗した場合
+     * @throws ParseException 有効なActorでない場合
+     */
+    public function probeActor(string $actorUrl): array
+    {
+        $startedAt = microtime(true);
+        $actor = $this->resolveActor($actorUrl);
+        $latencyMs = (int)round((microtime(true) - $startedAt) * 1000);
+        
+        return [
+            'actor_info' => $this->extractActorInfo($actor['json']),
+            'software' => $this->fetchServerSoftware($actor['json']['id'] ?? $actor['url']),
+            'meta' => [
+                'fetched_at' => date('c'),
+                'actor_url' => $actor['url'],
+                'requested_url' => $actorUrl,
+                'resolved_via' => $actor['resolved_via'],
+                'latency_ms' => $latencyMs,
+                'cache' => $this->getCacheInfo(),
+                'rate_limited' => $this->rateLimitedFor
+            ]
+        ];
+    }
+
+    /**
+     * 指定された投稿を含むスレッド（返信先と返信）を取得する
+     *
+     * @param string $postUrl 投稿（Note）のID
+     * @return array 取得結果 ['ancestors' => Note[], 'post' => Note, 'descendants' => array, 'meta' => array]
+     *               descendantsは ['note' => Note, 'depth' => int] の配列（深さ優先順）
+     * @throws FetchException データ取得に失敗した場合
+     * @throws ParseException パースに失敗した場合
+     */
+    public function fetchThread(string $postUrl): array
+    {
+        // 1. 対象の投稿を取得
+        Validator::validateUrl($postUrl, $this->allowedDomains);
+        $this->reportProgress('post');
+        $postJson = $this->httpGet($postUrl);
+        
+        if (!Validator::validateNoteObject($postJson)) {
+            throw new ParseException('有効な投稿ではありません。', ParseException::INVALID_NOTE);
+        }
+        
+        // 2. inReplyToを辿って返信先を取得（古い順に並べる）
+        $ancestors = [];
+        $ancestorsTruncated = false;
+        $seen = [$postJson['id'] => true];
+        $parentId = Note::extractId($postJson['inReplyTo'] ?? null);
+        
+        while ($parentId !== null) {
+            if (count($ancestors) >= self::MAX_THREAD_ANCESTORS || isset($seen[$parentId])) {
+                $ancestorsTruncated = true;
+                break;
+            }
+            
+            $parentJson = $this->fetchObject($parentId);
+            if ($parentJson === null || !Validator::validateNoteObject($parentJson)) {
+                // 削除済み・非公開の投稿などで辿れない場合はここで打ち切る
+                $ancestorsTruncated = true;
+                break;
+            }
+            
+            $seen[$parentJson['id']] = true;
+            array_unshift($ancestors, $this->withResolvedAuthor(Note::fromArray($parentJson)));
+            $this->reportProgress('ancestors', count($ancestors), self::MAX_THREAD_ANCESTORS);
+            $parentId = Note::extractId($parentJson['inReplyTo'] ?? null);
+        }
+        
+        // 3. repliesコレクションを辿って返信を取得
+        $this->reportProgress('replies', 0, self::MAX_THREAD_DESCENDANTS);
+        $descendants = [];
+        $this->collectDescendants($postJson, 1, $descendants, $seen);
+        
+        return [
+            'ancestors' => $ancestors,
+            'post' => $this->withResolvedAuthor(Note::fromArray($postJson)),
+            'descendants' => $descendants,
+            'meta' => [
+                'post_url' => $postUrl,
+                'ancestors_count' => count($ancestors),
+                'descendants_count' => count($descendants),
+                'ancestors_truncated' => $ancestorsTruncated,
+                'descendants_truncated' => count($descendants) >= self::MAX_THREAD_DESCENDANTS,
+                'fetched_at' => date('c'),
+                'cache' => $this->getCacheInfo(),
+                'rate_limited' => $this->rateLimitedFor
+            ]
+        ];
+    }
+
+    /**
+     * 投稿のrepliesコレクションから返信を再帰的に収集する（深さ優先）
+     *
+     * @param array $noteJson
+     * @param int $depth 返信の深さ（対象投稿への直接の返信が1）
+     * @param array &$descendants ['note' => Note, 'depth' => int] の格納先
+     * @param array &$seen 取得済みの投稿ID（循環防止）
+     * @return void
+     */
+    private function collectDescendants(array $noteJson, int $depth, array &$descendants, array &$seen): void
+    {
+        if ($depth > self::MAX_THREAD_DEPTH) {
+            return;
+        }
+        
+        foreach ($this->collectReplyItems($noteJson['replies'] ?? null) as $item) {
+            if (count($descendants) >= self::MAX_THREAD_DESCENDANTS) {
+                return;
+            }
+            
+            // 埋め込みオブジェクトが完全でない場合はIDから取得し直す
+            $replyJson = is_array($item) && Validator::validateNoteObject($item)
+                ? $item
+                : $this->fetchObject(Note::extractId($item));
+            
+            if ($replyJson === null || !Validator::validateNoteObject($replyJson) || isset($seen[$replyJson['id']])) {
+                continue;
+            }
+            
+            $seen[$replyJson['id']] = true;
+            $descendants[] = [
+                'note' => $this->withResolvedAuthor(Note::fromArray($replyJson)),
+                'depth' => $depth
+            ];
+            $this->reportProgress('replies', count($descendants), self::MAX_THREAD_DESCENDANTS);
+            
+            $this->collectDescendants($replyJson, $depth + 1, $descendants, $seen);
+        }
+    }
+
+    /**
+     * repliesコレクション（URLまたは埋め込み）からアイテムを取り出す
+     *
+     * @param mixed $replies
+     * @return array 投稿のURL文字列または投稿オブジェクトの配列
+     */
+    private function collectReplyItems(mixed $replies): array
+    {
+        $page = is_string($replies) ? $this->fetchObject($replies) : $replies;
+        if (!is_array($page)) {
+            return [];
+        }
+        
+        $items = [];
+        $pagesVisited = 0;
+        
+        // アイテムを持たないコレクションはfirstページから辿る
+        if ($this->getPageItems($page) === null && isset($page['first'])) {
+            $page = is_array($page['first']) ? $page['first'] : $this->fetchObject($page['first']);
+        }
+        
+        while (is_array($page) && $pagesVisited < self::MAX_REPLY_PAGES) {
+            $items = array_merge($items, $this->getPageItems($page) ?? []);
+            $pagesVisited++;
+            
+            $nextPageUrl = $this->getNextPageUrl($page);
+            $page = $nextPageUrl !== null && $pagesVisited < self::MAX_REPLY_PAGES
+                ? $this->fetchObject($nextPageUrl)
+                : null;
+        }
+        
+        return $items;
+    }
+
+    /**
+     * URLからActivityStreamsオブジェクトを取得する（失敗時はnull）
+     * スレッドのように一部が取得できなくても処理を続けたい場合に使用
+     *
+     * @param string|null $url
+     * @return array|null
+     */
+    private function fetchObject(?string $url): ?array
+    {
+        if ($url === null) {
+            return null;
+        }
+        
+        try {
+            Validator::validateUrl($url, $this->allowedDomains);
+            return $this->httpGet($url);
+        } catch (FetchException | ParseException $e) {
+            error_log('DEBUG: Failed to fetch object ' . $url . ': ' . $e->getMessage());
+            return null;
+        }
+    }
+
+    /**
+     * attributedToがURLのみの投稿について、Actorを取得して投稿者情報を補完する
+     *
+     * @param Note $note
+     * @return Note
+     */
+    private function withResolvedAuthor(Note $note): Note
+    {
+        $authorId = $note->author['id'] ?? '';
+        if ($authorId === '' || ($note->author['name'] ?? 'Unknown User') !== 'Unknown User') {
+            return $note;
+        }
+        
+        $actorInfo = $this->fetchActorInfo($authorId);
+        if ($actorInfo === null) {
+            return $note;
+        }
+        
+        return $note->withAuthor([
+            'id' => $actorInfo['id'] ?: $authorId,
+            'name' => $actorInfo['name'],
+            'avatar' => $actorInfo['avatar'],
+            'emojis' => $actorInfo['emojis']
+        ]);
+    }
+
+    /**
+     * Announceアクティビティからブースト情報（ブーストしたActorと日時）を生成する
+     *
+     * @param array $announce
+     * @return array ['id' => string, 'name' => string, 'avatar' => ?string, 'emojis' => array, 'announce_id' => ?string, 'boosted_at' => ?string]
+     */
+    private function buildBoostInfo(array $announce): array
+    {
+        $actorId = Note::extractId($announce['actor'] ?? null) ?? '';
+        $actorInfo = $actorId !== '' ? $this->fetchActorInfo($actorId) : null;
+        
+        $boostedAt = null;
+        if (isset($announce['published']) && is_string($announce['published'])) {
+            try {
+                $boostedAt = (new DateTimeImmutable($announce['published']))->format('c');
+            } catch (Exception $e) {
+                $boostedAt = null;
+            }
+        }
+        
+        return [
+            'id' => $actorId,
+            'name' => $actorInfo['name'] ?? 'Unknown User',
+            'avatar' => $actorInfo['avatar'] ?? null,
+            'emojis' => $actorInfo['emojis'] ?? [],
+            'announce_id' => Note::extractId($announce['id'] ?? null),
+            'boosted_at' => $boostedAt
+        ];
+    }
+
+    /**
+     * ActorのURLから基本情報を取得する（リクエスト内でキャッシュ）
+     *
+     * @param string $actorId
+     * @return array|null extractActorInfo()の結果、取得できない場合はnull
+     */
+    private function fetchActorInfo(string $actorId): ?array
+    {
+        if (!array_key_exists($actorId, $this->actorInfoCache)) {
+            $actorJson = $this->fetchObject($actorId);
+            $this->actorInfoCache[$actorId] = $actorJson !== null && Validator::validateActorObject($actorJson)
+                ? $this->extractActorInfo($actorJson)
+                : null;
+        }
+        
+        return $this->actorInfoCache[$actorId];
+    }
+
+    /**
+     * WebFingerでハンドル（@user@host / acct:user@host）からActorのURLを解決する
+     *
+     * @param string $handle
+     * @return string ActorのURL（rel="self" のActivityPubリンク）
+     * @throws FetchException 解決に失敗した場合
+     */
+    public function resolveWebFinger(string $handle): string
+    {
+        $acct = Validator::parseAcctHandle($handle);
+        if ($acct === null) {
+            throw new FetchException('ハンドルの形式が正しくありません。', FetchException::INVALID_URL);
+        }
+        
+        $resource = 'acct:' . $acct['user'] . '@' . $acct['host'];
+        $webFingerUrl = 'https://' . $acct['host'] . '/.well-known/webfinger?resource=' . rawurlencode($resource);
+        Validator::validateUrl($webFingerUrl, $this->allowedDomains);
+        
+        try {
+            $jrd = $this->httpGet($webFingerUrl, ['Accept: application/jrd+json, application/json']);
+        } catch (FetchException | ParseException $e) {
+            throw new FetchException("WebFingerの取得に失敗しました ({$resource}): " . $e->getMessage(), FetchException::WEBFINGER_ERROR, $e);
+        }
+        
+        foreach ($jrd['links'] ?? [] as $link) {
+            if (!is_array($link) || ($link['rel'] ?? '') !== 'self' || !isset($link['href'])) {
+                continue;
+            }
+            
+            if (Validator::isActivityPubMediaType($link['type'] ?? '') && is_string($link['href'])) {
+                error_log('DEBUG: WebFinger resolved ' . $resource . ' to ' . $link['href']);
+                return $link['href'];
+            }
+        }
+        
+        throw new FetchException("WebFingerの応答にActivityPubのリンクがありません ({$resource})", FetchException::WEBFINGER_ERROR);
+    }
+
+    /**
+     * カーソルが指すoutboxページから続きの投稿を取得する
+     *
+     * @param string $cursor fetch()またはfetchPage()が返したnext_cursor
+     * @param int $maxPosts 取得する最大投稿数
+     * @return array 取得結果 ['posts' => Note[], 'meta' => array]
+     * @throws FetchException データ取得に失敗した場合
+     * @throws ParseException パースに失敗した場合
+     */
+    public function fetchPage(string $cursor, int $maxPosts = 20): array
+    {
+        $debug_unparsed_items = [];
+        
+        // 1. カーソルの復元とURLバリデーション
+        $position = self::decodeCursor($cursor);
+        Validator::validateUrl($position['page'], $this->allowedDomains);
+        
+        // 2. outboxページを取得
+        $this->reportProgress('outbox');
+        $outboxPage = $this->httpGet($position['page']);
+        if (!Validator::validateOutboxCollection($outboxPage)) {
+            throw new ParseException('有効なoutboxコレクションではありません。', ParseException::INVALID_NOTE);
+        }
+        
+        // 3. オフセット位置から投稿データを取得
+        $extractResult = $this->extractNotesFromOutbox($outboxPage, $position['page'], $maxPosts, $debug_unparsed_items, $position['offset']);
+        $notes = $extractResult['notes'];
+        
+        return [
+            'posts' => $notes,
+            'meta' => [
+                'count' => count($notes),
+                'fetched_at' => date('c'),
+                'page_url' => $position['page'],
+                'next_cursor' => $extractResult['next_cursor'],
+                'cache' => $this->getCacheInfo(),
+                'rate_limited' => $this->rateLimitedFor,
+                'failed_items' => $this->itemFailures
+            ]
+        ];
+    }
+
     /**
      * outboxから投稿データを抽出（Mastodon・Misskey対応）
+     * maxPostsに達するまで`next`ページを辿り、続きを取得するためのカーソルを返す
      *
      * @param array $outboxJson
+     * @param string $pageUrl $outboxJsonを取得したURL（カーソル生成に使用）
      * @param int $maxPosts
      * @param array &$debug_unparsed_items 解析失敗アイテム格納用
-     * @return array ['notes' => Note[], 'debug_unparsed' => array]
+     * @param int $offset ページ内で読み飛ばすアイテム数
+     * @return array ['notes' => Note[], 'debug_unparsed' => array, 'next_cursor' => ?string]
      * @throws FetchException
      * @throws ParseException
      */
-    private function extractNotesFromOutbox(array $outboxJson, int $maxPosts, array &$debug_unparsed_items): array
+    private function extractNotesFromOutbox(array $outboxJson, string $pageUrl, int $maxPosts, array &$debug_unparsed_items, int $offset = 0): array
     {
         // ===== デバッグ開始 =====
         error_log('DEBUG: outboxJson keys: ' . implode(', ', array_keys($outboxJson)));
@@ -140,42 +638,65 @@ class Client
         // ===== デバッグ終了 =====
         
         $notes = [];
-        $processedCount = 0;
+        $nextCursor = null;
+        $page = $outboxJson;
+        $pagesVisited = 0;
         
-        // 直接orderedItemsがある場合（最初のページ）
-        if (isset($outboxJson['orderedItems']) && is_array($outboxJson['orderedItems'])) {
-            $processResult = $this->processOrderedItems($outboxJson['orderedItems'], $maxPosts, $processedCount, $debug_unparsed_items);
-            $notes = array_merge($notes, $processResult['notes']);
-        }
-        // itemsがある場合（Misskey等で使用されることがある）
-        else if (isset($outboxJson['items']) && is_array($outboxJson['items'])) {
-            $processResult = $this->processOrderedItems($outboxJson['items'], $maxPosts, $processedCount, $debug_unparsed_items);
-            $notes = array_merge($notes, $processResult['notes']);
-        }
         // orderedItemsもitemsもない場合、firstページを確認
-        else if (isset($outboxJson['first'])) {
-            $firstPageUrl = is_string($outboxJson['first']) ? $outboxJson['first'] : $outboxJson['first']['id'] ?? null;
+        if ($this->getPageItems($page) === null && isset($page['first'])) {
+            $firstPageUrl = is_string($page['first']) ? $page['first'] : $page['first']['id'] ?? null;
             error_log('DEBUG: Accessing first page: ' . $firstPageUrl);
             
-            if ($firstPageUrl) {
-                $firstPageJson = $this->httpGet($firstPageUrl);
-                error_log('DEBUG: First page keys: ' . implode(', ', array_keys($firstPageJson)));
-                
-                // firstページでorderedItemsまたはitemsを確認
-                if (isset($firstPageJson['orderedItems']) && is_array($firstPageJson['orderedItems'])) {
-                    error_log('DEBUG: First page orderedItems count: ' . count($firstPageJson['orderedItems']));
-                    $processResult = $this->processOrderedItems($firstPageJson['orderedItems'], $maxPosts, $processedCount, $debug_unparsed_items);
-                    $notes = array_merge($notes, $processResult['notes']);
-                } else if (isset($firstPageJson['items']) && is_array($firstPageJson['items'])) {
-                    error_log('DEBUG: First page items count: ' . count($firstPageJson['items']));
-                    $processResult = $this->processOrderedItems($firstPageJson['items'], $maxPosts, $processedCount, $debug_unparsed_items);
-                    $notes = array_merge($notes, $processResult['notes']);
-                } else {
-                    error_log('DEBUG: First page has no orderedItems or items');
+            if (!$firstPageUrl) {
+                error_log('DEBUG: No orderedItems, items, or first found in outbox');
+                return [
+                    'notes' => $notes,
+                    'debug_unparsed' => $debug_unparsed_items,
+                    'next_cursor' => null
+                ];
+            }
+            
+            $page = $this->httpGet($firstPageUrl);
+            $pageUrl = $firstPageUrl;
+            $offset = 0;
+            error_log('DEBUG: First page keys: ' . implode(', ', array_keys($page)));
+        }
+        
+        $this->reportProgress('posts', 0, $maxPosts);
+        
+        while (true) {
+            // orderedItems（Mastodon等）またはitems（Misskey等）を処理
+            $items = $this->getPageItems($page) ?? [];
+            $processedCount = 0;
+            $processResult = $this->processOrderedItems(array_slice($items, $offset), $maxPosts - count($notes), $processedCount, $debug_unparsed_items, count($notes));
+            $notes = array_merge($notes, $processResult['notes']);
+            $consumed = $offset + $processResult['consumed'];
+            $nextPageUrl = $this->getNextPageUrl($page);
+            
+            if (count($notes) >= $maxPosts) {
+                // ページの途中で上限に達した場合は、同じページの続きからをカーソルにする
+                if ($consumed < count($items)) {
+                    $nextCursor = self::encodeCursor($pageUrl, $consumed);
+                } elseif ($nextPageUrl) {
+                    $nextCursor = self::encodeCursor($nextPageUrl);
                 }
+                break;
             }
-        } else {
-            error_log('DEBUG: No orderedItems, items, or first found in outbox');
+            
+            if (!$nextPageUrl) {
+                break;
+            }
+            
+            // 1リクエストで辿るページ数を制限し、残りはカーソルで続きを取得させる
+            if (++$pagesVisited >= self::MAX_PAGES_PER_REQUEST) {
+                $nextCursor = self::encodeCursor($nextPageUrl);
+                break;
+            }
+            
+            error_log('DEBUG: Following next page: ' . $nextPageUrl);
+            $page = $this->httpGet($nextPageUrl);
+            $pageUrl = $nextPageUrl;
+            $offset = 0;
         }
         
         error_log('DEBUG: Final result - extracted ' . count($notes) . ' notes');
@@ -183,170 +704,1132 @@ class Client
         
         return [
             'notes' => $notes,
-            'debug_unparsed' => $debug_unparsed_items
+            'debug_unparsed' => $debug_unparsed_items,
+            'next_cursor' => $nextCursor
         ];
     }
 
     /**
-     * orderedItemsの配列を処理してNoteオブジェクトに変換
+     * コレクションページからアイテム配列を取得
      *
-     * @param array $orderedItems
-     * @param int $maxPosts
-     * @param int &$processedCount
-     * @param array &$debug_unparsed_items 解析失敗アイテム格納用
-     * @return array ['notes' => Note[], 'debug_unparsed' => array]
+     * @param array $page
+     * @return array|null アイテムを持たないページの場合はnull
      */
-    private function processOrderedItems(array $orderedItems, int $maxPosts, int &$processedCount, array &$debug_unparsed_items): array
+    private function getPageItems(array $page): ?array
     {
-        error_log('DEBUG: Processing ' . count($orderedItems) . ' items, maxPosts=' . $maxPosts . ', processedCount=' . $processedCount);
+        if (isset($page['orderedItems']) && is_array($page['orderedItems'])) {
+            return $page['orderedItems'];
+        }
         
-        $notes = [];
+        if (isset($page['items']) && is_array($page['items'])) {
+            return $page['items'];
+        }
         
-        foreach ($orderedItems as $index => $item) {
-            if ($processedCount >= $maxPosts) break;
-            
-            error_log('DEBUG: Item ' . $index . ' type: ' . (is_array($item) ? ($item['type'] ?? 'no type') : gettype($item)));
-            
-            $noteObject = null;
-            $parsedSuccessfully = false; // ★解析成功フラグ
-            
-            // ★★★ Announce アクティビティの場合（Misskey対応）★★★
-            if (isset($item['type']) && $item['type'] === 'Announce' && isset($item['object'])) {
-                error_log('DEBUG: Found Announce activity (Misskey boost/renote)');
-                
-                // objectがURL文字列の場合、そのURLから投稿データを取得
-                if (is_string($item['object']) && filter_var($item['object'], FILTER_VALIDATE_URL)) {
-                    error_log('DEBUG: Announce activity with object URL: ' . $item['object']);
-                    try {
-                        // 元の投稿データを取得
-                        $originalPost = $this->httpGet($item['object']);
-                        
-                        // 取得した投稿がNote形式かチェック
-                        if (isset($originalPost['type']) && $originalPost['type'] === 'Note') {
-                            error_log('DEBUG: Successfully fetched Note from Announce object URL');
-                            $noteObject = $originalPost;
-                        } else {
-                            error_log('DEBUG: Fetched object is not a Note: ' . ($originalPost['type'] ?? 'unknown type'));
-                        }
-                    } catch (Exception $e) {
-                        error_log('DEBUG: Failed to fetch Announce object from URL: ' . $e->getMessage());
-                        $noteObject = null;
-                    }
-                } else {
-                    error_log('DEBUG: Announce activity with non-URL object: ' . gettype($item['object']));
-                }
-            }
-            // Create Activityの場合（従来の処理）
-            else if (isset($item['type']) && $item['type'] === 'Create' && isset($item['object'])) {
-                // objectが配列（投稿オブジェクト）か、文字列（投稿へのURL）かをチェック
-                if (is_array($item['object'])) {
-                    // オブジェクトが直接含まれる場合
-                    error_log('DEBUG: Create activity with direct object (array)');
-                    $noteObject = $item['object'];
-                } elseif (is_string($item['object']) && filter_var($item['object'], FILTER_VALIDATE_URL)) {
-                    // URLの場合、そのURLから投稿データを再取得する
-                    error_log('DEBUG: Create activity with object URL: ' . $item['object']);
-                    try {
-                        $noteObject = $this->httpGet($item['object']);
-                        error_log('DEBUG: Successfully fetched note from Create URL');
-                    } catch (Exception $e) {
-                        // 1件の取得失敗で全体が止まらないように、失敗時はスキップ
-                        error_log('DEBUG: Failed to fetch note from Create URL: ' . $e->getMessage());
-                        $noteObject = null;
-                    }
-                } else {
-                    error_log('DEBUG: Create activity with invalid object type: ' . gettype($item['object']));
-                }
-            }
-            // 直接Noteオブジェクトの場合
-            else if (isset($item['type']) && $item['type'] === 'Note') {
-                $noteObject = $item;
-            }
-            // ActivityがURL参照の場合（稀）
-            else if (is_string($item) && filter_var($item, FILTER_VALIDATE_URL)) {
-                try {
-                    $activityJson = $this->httpGet($item);
-                    if (isset($activityJson['type']) && $activityJson['type'] === 'Create' && isset($activityJson['object'])) {
-                        $noteObject = $activityJson['object'];
-                    }
-                } catch (Exception $e) {
-                    // URL取得に失敗した場合はスキップ
-                    continue;
-                }
-            }
-            
-            // Noteオブジェクトを処理
-            if ($noteObject && Validator::validateNoteObject($noteObject)) {
-                error_log('DEBUG: Valid note found, creating Note object');
-                $notes[] = Note::fromArray($noteObject);
-                $processedCount++;
-                $parsedSuccessfully = true; // ★成功フラグを立てる
-            } else {
-                if ($noteObject) {
-                    error_log('DEBUG: Note validation failed for item ' . $index);
-                    // ★★★ デバッグ用：バリデーション失敗したNoteの詳細をログ出力 ★★★
-                    error_log('DEBUG: Failed note structure: ' . json_encode($noteObject, JSON_UNESCAPED_UNICODE));
-                } else {
-                    error_log('DEBUG: No note object extracted from item ' . $index);
+        return null;
+    }
+
+    /**
+     * コレクションページから次ページのURLを取得
+     *
+     * @param array $page
+     * @return string|null
+     */
+    private function getNextPageUrl(array $page): ?string
+    {
+        $next = $page['next'] ?? null;
+        
+        if (is_array($next)) {
+            $next = $next['id'] ?? null;
+        }
+        
+        if (!is_string($next) || !filter_var($next, FILTER_VALIDATE_URL)) {
+            return null;
+        }
+        
+        return $next;
+    }
+
+    /**
+     * ページURLとページ内オフセットから不透明なカーソル文字列を生成
+     *
+     * @param string $pageUrl
+     * @param int $offset
+     * @return string
+     */
+    private static function encodeCursor(string $pageUrl, int $offset = 0): string
+    {
+        $json = json_encode(['page' => $pageUrl, 'offset' => $offset], JSON_UNESCAPED_SLASHES);
+        
+        return rtrim(strtr(base64_encode($json), '+/', '-_'), '=');
+    }
+
+    /**
+     * カーソル文字列をページURLとオフセットに復元
+     *
+     * @param string $cursor
+     * @return array ['page' => string, 'offset' => int]
+     * @throws ParseException カーソルが不正な場合
+     */
+    private static function decodeCursor(string $cursor): array
+    {
+        $json = base64_decode(strtr($cursor, '-_', '+/'), true);
+        $data = $json !== false ? json_decode($json, true) : null;
+        
+        if (!is_array($data) || !isset($data['page']) || !is_string($data['page'])) {
+            throw new ParseException('カーソルの形式が正しくありません。', ParseException::INVALID_CURSOR);
+        }
+        
+        return [
+            'page' => $data['page'],
+            'offset' => max((int)($data['offset'] ?? 0), 0)
+        ];
+    }
+
+    /**
+     * orderedItemsの配列を処理してNoteオブジェクトに変換
+     * 必要な件数分のアイテムごとに、参照先のURL（Create/Announceのobject等）と投稿者・ブーストしたActorを
+     * まとめて並列に取得してから順に変換する。取得・解析に失敗したアイテムはスキップしてfailed_itemsに記録する
+     *
+     * @param array $orderedItems
+     * @param int $maxPosts
+     * @param int &$processedCount
+     * @param array &$debug_unparsed_items 解析失敗アイテム格納用
+     * @param int $progressOffset 進捗通知用の、前のページまでに取得済みの投稿数
+     * @return array ['notes' => Note[], 'debug_unparsed' => array, 'consumed' => int]
+     */
+    private function processOrderedItems(array $orderedItems, int $maxPosts, int &$processedCount, array &$debug_unparsed_items, int $progressOffset = 0): array
+    {
+        error_log('DEBUG: Processing ' . count($orderedItems) . ' items, maxPosts=' . $maxPosts . ', processedCount=' . $processedCount);
+        
+        $notes = [];
+        $consumed = 0; // 処理済み（スキップを含む）のアイテム数
+        $total = count($orderedItems);
+        
+        // スキップしたアイテムの分だけ次のまとまりを取得し、上限に達するかアイテムがなくなるまで繰り返す
+        while ($consumed < $total && $processedCount < $maxPosts) {
+            $batch = array_slice($orderedItems, $consumed, $maxPosts - $processedCount, true);
+            
+            // 1. 参照先のオブジェクトを並列に取得
+            $objectUrls = [];
+            foreach ($batch as $item) {
+                $objectUrl = $this->getItemObjectUrl($item);
+                if ($objectUrl !== null) {
+                    $objectUrls[] = $objectUrl;
                 }
             }
+            // 取得が終わるごとに進捗を通知する（埋め込みのオブジェクトは取得済みとして数える）
+            $resolvedCount = $processedCount + count($batch) - count($objectUrls);
+            $fetchedObjects = $this->httpGetMany($objectUrls, [], function () use (&$resolvedCount, $progressOffset, $maxPosts): void {
+                $resolvedCount++;
+                $this->reportProgress('posts', $progressOffset + min($resolvedCount, $maxPosts), $progressOffset + $maxPosts);
+            });
+            
+            // 2. 投稿オブジェクトの特定
+            $resolved = [];
+            $actorIds = [];
+            foreach ($batch as $index => $item) {
+                $resolved[$index] = $this->resolveItem($item, $fetchedObjects);
+                
+                $note = $resolved[$index]['note'];
+                if ($note !== null && ($note->author['name'] ?? 'Unknown User') === 'Unknown User' && !empty($note->author['id'])) {
+                    $actorIds[] = $note->author['id'];
+                }
+                if ($resolved[$index]['announce'] !== null) {
+                    $actorIds[] = Note::extractId($resolved[$index]['announce']['actor'] ?? null);
+                }
+            }
+            
+            // 3. 投稿者・ブーストしたActorの情報を並列に取得
+            $this->prefetchActorInfo(array_filter($actorIds));
             
-            // ★もし解析に失敗していたら、元のアイテムをデバッグ用に保存
-            if (!$parsedSuccessfully) {
-                $debug_unparsed_items[] = $item;
-                error_log('DEBUG: Added unparsed item ' . $index . ' to debug array');
+            // 4. 順番に変換
+            foreach ($batch as $index => $item) {
+                if ($processedCount >= $maxPosts) break;
+                $consumed++;
+                
+                $note = $resolved[$index]['note'];
+                if ($note === null) {
+                    $debug_unparsed_items[] = $item;
+                    if ($resolved[$index]['failure'] !== null) {
+                        $this->itemFailures[] = $resolved[$index]['failure'];
+                    }
+                    error_log('DEBUG: Skipped item ' . $index . ': ' . ($resolved[$index]['failure']['message'] ?? 'not a post'));
+                    continue;
+                }
+                
+                if ($resolved[$index]['announce'] !== null) {
+                    $note = $note->withBoostedBy($this->buildBoostInfo($resolved[$index]['announce']));
+                }
+                $notes[] = $this->withResolvedAuthor($note);
+                $processedCount++;
             }
+            
+            $this->reportProgress('posts', $progressOffset + $processedCount, $progressOffset + $maxPosts);
         }
         
         return [
             'notes' => $notes,
-            'debug_unparsed' => $debug_unparsed_items
+            'debug_unparsed' => $debug_unparsed_items,
+            'consumed' => $consumed
         ];
     }
 
+    /**
+     * outboxのアイテムのうち、別途取得が必要なURL（Create/Announceのobject、またはActivity自体）
+     *
+     * @param mixed $item
+     * @return string|null
+     */
+    private function getItemObjectUrl(mixed $item): ?string
+    {
+        if (is_string($item)) {
+            return filter_var($item, FILTER_VALIDATE_URL) ? $item : null;
+        }
+        
+        if (!is_array($item) || !isset($item['object']) || !in_array($item['type'] ?? null, ['Create', 'Announce'], true)) {
+            return null;
+        }
+        
+        // 投稿が埋め込まれている場合は取得不要（Announceは埋め込みが投稿として不完全な場合のみ取得）
+        if (is_array($item['object']) && ($item['type'] === 'Create' || Validator::validateNoteObject($item['object']))) {
+            return null;
+        }
+        
+        $objectUrl = Note::extractId($item['object']);
+        
+        return $objectUrl !== null && filter_var($objectUrl, FILTER_VALIDATE_URL) ? $objectUrl : null;
+    }
+
+    /**
+     * outboxの1アイテムから投稿を特定する（Mastodonのブースト・Misskeyのリノート、Create、直接のNote等）
+     *
+     * @param mixed $item
+     * @param array $fetchedObjects httpGetMany()の結果
+     * @return array ['note' => ?Note, 'announce' => ?array（ブーストの場合のAnnounce）, 'failure' => ?array（failed_itemsの要素）]
+     */
+    private function resolveItem(mixed $item, array $fetchedObjects): array
+    {
+        $result = ['note' => null, 'announce' => null, 'failure' => null];
+        $itemId = is_string($item) ? $item : Note::extractId($item['id'] ?? null);
+        $objectUrl = $this->getItemObjectUrl($item);
+        $noteObject = null;
+        
+        if ($objectUrl !== null) {
+            $fetched = $fetchedObjects[$objectUrl] ?? null;
+            
+            if ($fetched instanceof Exception) {
+                $result['failure'] = self::buildItemFailure($itemId, $objectUrl, $fetched);
+                return $result;
+            }
+            
+            // Activity自体がURL参照の場合（稀）は、取得したCreateのobjectを使う
+            $noteObject = is_string($item)
+                ? (($fetched['type'] ?? null) === 'Create' && is_array($fetched['object'] ?? null) ? $fetched['object'] : null)
+                : $fetched;
+        } elseif (is_array($item) && in_array($item['type'] ?? null, ['Create', 'Announce'], true)) {
+            $noteObject = is_array($item['object'] ?? null) ? $item['object'] : null;
+        } elseif (is_array($item) && Note::kindOf($item['type'] ?? null) !== null) {
+            // 直接Noteオブジェクト（投票・記事・イベント等を含む）の場合
+            $noteObject = $item;
+        }
+        
+        if ($noteObject === null || !Validator::validateNoteObject($noteObject)) {
+            // 投稿を参照するはずのアイテムが投稿として解析できなかった場合のみ失敗として記録
+            if ($objectUrl !== null || $noteObject !== null) {
+                $result['failure'] = self::buildItemFailure(
+                    $itemId,
+                    $objectUrl,
+                    new ParseException('投稿として解析できないオブジェクトです: ' . (is_array($noteObject) ? ($noteObject['type'] ?? 'unknown type') : 'no object'), ParseException::INVALID_NOTE)
+                );
+            }
+            return $result;
+        }
+        
+        // 日時の形式が不正な場合など、変換で例外が発生した投稿も失敗として記録し、残りの投稿は返す
+        try {
+            $result['note'] = Note::fromArray($noteObject);
+        } catch (Exception $e) {
+            error_log('DEBUG: Failed to convert note ' . ($itemId ?? $objectUrl ?? 'unknown') . ': ' . $e->getMessage());
+            $result['failure'] = self::buildItemFailure(
+                $itemId,
+                $objectUrl,
+                $e instanceof ParseException ? $e : new ParseException('投稿として解析できないオブジェクトです: ' . $e->getMessage(), ParseException::INVALID_NOTE, $e)
+            );
+            return $result;
+        }
+        
+        if (is_array($item) && ($item['type'] ?? null) === 'Announce') {
+            $result['announce'] = $item;
+        }
+        
+        return $result;
+    }
+
+    /**
+     * failed_items（取得・解析に失敗したアイテム）の要素を生成
+     * リモートから受け取ったIDとURLのうち、HTTPSでないものはリンクにされないよう除外する
+     *
+     * @param string|null $itemId ActivityのID
+     * @param string|null $objectUrl 取得しようとしたURL
+     * @param Exception $exception
+     * @return array ['id' => ?string, 'url' => ?string, 'code' => string, 'message' => string]
+     */
+    private static function buildItemFailure(?string $itemId, ?string $objectUrl, Exception $exception): array
+    {
+        $httpsOnly = fn(?string $url): ?string => $url !== null && str_starts_with($url, 'https://') ? $url : null;
+        
+        return [
+            'id' => $httpsOnly($itemId),
+            'url' => $httpsOnly($objectUrl),
+            'code' => $exception instanceof FetchException || $exception instanceof ParseException
+                ? $exception->getErrorCode()
+                : 'UNKNOWN_ERROR',
+            'message' => $exception->getMessage()
+        ];
+    }
+
+    /**
+     * 複数のActor情報をまとめて並列に取得してキャッシュする（fetchActorInfoで再取得しないため）
+     *
+     * @param array $actorIds
+     * @return void
+     */
+    private function prefetchActorInfo(array $actorIds): void
+    {
+        $actorIds = array_values(array_filter(
+            array_unique($actorIds),
+            fn($actorId) => !array_key_exists($actorId, $this->actorInfoCache)
+        ));
+        
+        foreach ($this->httpGetMany($actorIds) as $actorId => $actorJson) {
+            if ($actorJson instanceof Exception) {
+                error_log('DEBUG: Failed to fetch actor ' . $actorId . ': ' . $actorJson->getMessage());
+                $this->actorInfoCache[$actorId] = null;
+                continue;
+            }
+            
+            $this->actorInfoCache[$actorId] = Validator::validateActorObject($actorJson)
+                ? $this->extractActorInfo($actorJson)
+                : null;
+        }
+    }
+
     /**
      * HTTP GETリクエストを実行し、結果をJSONデコードして返す (cURL実装)
      *
      * @param string $url
+     * @param array $extraHeaders 既定のヘッダーを上書き・追加するヘッダー（例: Accept）
      * @return array
      * @throws FetchException
      * @throws ParseException
      */
-    private function httpGet(string $url): array
+    private function httpGet(string $url, array $extraHeaders = []): array
     {
+        $response = $this->httpGetRaw($url, $extraHeaders);
+        
+        return $this->decodeJson($response['body']);
+    }
+
+    /**
+     * 複数のURLを並列に取得し、JSONとしてデコードして返す
+     * 1件の失敗で全体を止めないよう、失敗したURLは例外を値として返す
+     *
+     * @param array $urls
+     * @param array $extraHeaders
+     * @param callable|null $onComplete 1件の取得が終わるごとに呼ばれる（失敗・キャッシュからの取得を含む）
+     * @return array URL => デコード結果（array）または FetchException / ParseException
+     */
+    private function httpGetMany(array $urls, array $extraHeaders = [], ?callable $onComplete = null): array
+    {
+        $results = [];
+        
+        foreach ($this->httpGetRawMany($urls, $extraHeaders, $onComplete) as $url => $response) {
+            if ($response instanceof Exception) {
+                $results[$url] = $response;
+                continue;
+            }
+            
+            try {
+                $results[$url] = $this->decodeJson($response['body']);
+            } catch (ParseException $e) {
+                $results[$url] = $e;
+            }
+        }
+        
+        return $results;
+    }
+
+    /**
+     * HTTP GETリクエストを実行し、レスポンス本文とContent-Typeを返す
+     * キャッシュが有効な場合は有効期間内のレスポンスを再利用し、期限切れなら条件付きリクエストで再検証する
+     * 送信前にホストごとのレート制限を確認する
+     *
+     * @param string $url
+     * @param array $extraHeaders
+     * @return array ['body' => string, 'content_type' => string, 'effective_url' => string]
+     * @throws FetchException
+     */
+    private function httpGetRaw(string $url, array $extraHeaders = []): array
+    {
+        $request = $this->prepareRequest($url, $extraHeaders);
+        if (isset($request['response'])) {
+            return $request['response'];
+        }
+        
+        $this->throwIfCancelled();
+        $this->throttle($url);
+        
+        return $this->completeRequest($request, $this->httpRequest($url, $request['headers']));
+    }
+
+    /**
+     * 複数のURLを同時実行数・1件ごとのタイムアウトを制限して並列に取得する（curl_multi）
+     * URLの検証・キャッシュ・レート制限は1件ずつhttpGetRawと同じように適用する
+     *
+     * @param array $urls
+     * @param array $extraHeaders
+     * @param callable|null $onComplete 1件の取得が終わるごとに呼ばれる
+     * @return array URL => ['body', 'content_type', 'effective_url'] または FetchException
+     */
+    private function httpGetRawMany(array $urls, array $extraHeaders = [], ?callable $onComplete = null): array
+    {
+        $this->throwIfCancelled();
+        
+        $results = [];
+        $pending = [];
+        
+        foreach (array_unique($urls) as $url) {
+            try {
+                Validator::validateUrl($url, $this->allowedDomains);
+                
+                $request = $this->prepareRequest($url, $extraHeaders);
+                if (isset($request['response'])) {
+                    $results[$url] = $request['response'];
+                    if ($onComplete !== null) $onComplete();
+                    continue;
+                }
+                
+                // レート制限で待つ必要がある場合は、待機後に開始する
+                $request['start_at'] = microtime(true) + $this->reserveRateLimit($url);
+                $pending[] = $request;
+            } catch (FetchException $e) {
+                $results[$url] = $e;
+                if ($onComplete !== null) $onComplete();
+            }
+        }
+        
+        usort($pending, fn($a, $b) => $a['start_at'] <=> $b['start_at']);
+        
+        foreach ($this->runConcurrentRequests($pending, $onComplete) as $index => $result) {
+            $url = $pending[$index]['url'];
+            $results[$url] = $result instanceof Exception ? $result : $this->completeRequest($pending[$index], $result);
+        }
+        
+        return $results;
+    }
+
+    /**
+     * リクエストの準備（有効期間内のキャッシュがあれば 'response' に設定）
+     *
+     * @param string $url
+     * @param array $extraHeaders
+     * @return array ['url' => string, 'headers' => array, 'cache_key' => ?string, 'entry' => ?array, 'response' => ?array]
+     */
+    private function prepareRequest(string $url, array $extraHeaders): array
+    {
+        $headers = $this->buildHeaders($extraHeaders);
+        $request = ['url' => $url, 'headers' => $headers, 'cache_key' => null, 'entry' => null, 'response' => null];
+        
+        if ($this->cache === null) {
+            return $request;
+        }
+        
+        $request['cache_key'] = ResponseCache::key($url, $headers);
+        $request['entry'] = $this->cache->get($request['cache_key']);
+        
+        // 有効期間内ならリモートに問い合わせずに返す
+        if ($request['entry'] !== null && !$this->forceRefresh && ResponseCache::isFresh($request['entry'])) {
+            $this->recordCacheUse('hits', $request['entry']['stored_at']);
+            $request['response'] = $this->responseFromCacheEntry($request['entry']);
+            return $request;
+        }
+        
+        // 期限切れ（または強制再取得）の場合はETag/Last-Modifiedで再検証
+        if ($request['entry'] !== null) {
+            $request['headers'] = $this->buildHeaders(array_merge($extraHeaders, ResponseCache::conditionalHeaders($request['entry'])));
+        }
+        
+        return $request;
+    }
+
+    /**
+     * レスポンスの後処理（304の場合はキャッシュの本文を返し、それ以外はキャッシュに保存）
+     *
+     * @param array $request prepareRequest()の結果
+     * @param array $result httpRequest()の結果
+     * @return array ['body' => string, 'content_type' => string, 'effective_url' => string]
+     */
+    private function completeRequest(array $request, array $result): array
+    {
+        if ($this->cache === null) {
+            return $result['response'];
+        }
+        
+        if ($result['status'] === 304 && $request['entry'] !== null) {
+            $entry = $this->cache->refresh($request['cache_key'], $request['entry'], $result['headers']);
+            $this->recordCacheUse('revalidated', $entry['stored_at']);
+            return $this->responseFromCacheEntry($entry);
+        }
+        
+        $this->cacheStats['misses']++;
+        $this->cache->set($request['cache_key'], $result['response'], $result['headers']);
+        
+        return $result['response'];
+    }
+
+    /**
+     * HTTP GETリクエストの送信 (cURL実装)
+     * 304 Not Modified は呼び出し元で再検証に使うため例外にしない
+     *
+     * @param string $url
+     * @param array $headers 送信するリクエストヘッダー
+     * @return array ['status' => int, 'headers' => array（小文字のヘッダー名 => 値）, 'response' => array]
+     * @throws FetchException
+     */
+    private function httpRequest(string $url, array $headers): array
+    {
+        $responseHeaders = new ArrayObject();
+        $ch = $this->createCurlHandle($url, $headers, $this->timeout, $responseHeaders);
+        $response = curl_exec($ch);
+        
+        return $this->readCurlResult($ch, (string)$response, $responseHeaders->getArrayCopy(), $url, curl_errno($ch));
+    }
+
+    /**
+     * 複数のリクエストを並列に送信する
+     * 同時実行数は MAX_CONCURRENT_REQUESTS まで、開始時刻（start_at）を過ぎたものから順に開始する
+     *
+     * @param array $requests prepareRequest()の結果に 'start_at' を加えたもの（start_at順）
+     * @param callable|null $onComplete 1件のリクエストが終わるごとに呼ばれる
+     * @return array リクエストの添字 => httpRequest()と同じ形式の結果 または FetchException
+     * @throws FetchException 途中で中止された場合（CANCELLED）。送信中のリクエストも打ち切る
+     */
+    private function runConcurrentRequests(array $requests, ?callable $onComplete = null): array
+    {
+        if ($requests === []) {
+            return [];
+        }
+        
+        $multi = curl_multi_init();
+        $active = [];
+        $results = [];
+        $next = 0;
+        $count = count($requests);
+        
+        do {
+            if ($this->isCancelled()) {
+                foreach ($active as $handleInfo) {
+                    curl_multi_remove_handle($multi, $handleInfo['handle']);
+                    curl_close($handleInfo['handle']);
+                }
+                curl_multi_close($multi);
+                $this->throwIfCancelled();
+            }
+            
+            while ($next < $count && count($active) < self::MAX_CONCURRENT_REQUESTS && $requests[$next]['start_at'] <= microtime(true)) {
+                $responseHeaders = new ArrayObject();
+                $ch = $this->createCurlHandle($requests[$next]['url'], $requests[$next]['headers'], min($this->timeout, self::ITEM_REQUEST_TIMEOUT), $responseHeaders);
+                curl_multi_add_handle($multi, $ch);
+                $active[spl_object_id($ch)] = ['index' => $next, 'headers' => $responseHeaders, 'handle' => $ch];
+                $next++;
+            }
+            
+            curl_multi_exec($multi, $running);
+            
+            while (($info = curl_multi_info_read($multi)) !== false) {
+                $ch = $info['handle'];
+                $handleInfo = $active[spl_object_id($ch)];
+                unset($active[spl_object_id($ch)]);
+                curl_multi_remove_handle($multi, $ch);
+                
+                try {
+                    $results[$handleInfo['index']] = $this->readCurlResult(
+                        $ch,
+                        (string)curl_multi_getcontent($ch),
+                        $handleInfo['headers']->getArrayCopy(),
+                        $requests[$handleInfo['index']]['url'],
+                        $info['result']
+                    );
+                } catch (FetchException $e) {
+                    error_log('DEBUG: Parallel request failed ' . $requests[$handleInfo['index']]['url'] . ': ' . $e->getMessage());
+                    $results[$handleInfo['index']] = $e;
+                }
+                
+                if ($onComplete !== null) $onComplete();
+            }
+            
+            if ($active !== []) {
+                // 通信があるまで待つ（レート制限待ちのリクエストを開始できるよう短めに区切る）
+                if (curl_multi_select($multi, 0.1) === -1) {
+                    usleep(10000);
+                }
+            } elseif ($next < $count) {
+                usleep((int)max(1000, ($requests[$next]['start_at'] - microtime(true)) * 1000000));
+            }
+        } while ($next < $count || $active !== []);
+        
+        curl_multi_close($multi);
+        
+        return $results;
+    }
+
+    /**
+     * cURLハンドルの生成
+     *
+     * @param string $url
+     * @param array $headers
+     * @param int $timeout
+     * @param ArrayObject $responseHeaders 最終レスポンスのヘッダーの格納先
+     * @return CurlHandle
+     */
+    private function createCurlHandle(string $url, array $headers, int $timeout, ArrayObject $responseHeaders): CurlHandle
+    {
+        // 最終レスポンスのヘッダーのみを保持（リダイレクト時はステータス行でリセット）
+        $headerCallback = function ($ch, string $line) use ($responseHeaders): int {
+            if (preg_match('#^HTTP/\S+\s+\d+#', $line)) {
+                $responseHeaders->exchangeArray([]);
+            } elseif (str_contains($line, ':')) {
+                [$name, $value] = explode(':', $line, 2);
+                $responseHeaders[strtolower(trim($name))] = trim($value);
+            }
+            return strlen($line);
+        };
+        
         $ch = curl_init();
         curl_setopt($ch, CURLOPT_URL, $url);
         curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
-        curl_setopt($ch, CURLOPT_HTTPHEADER, $this->httpHeaders);
-        curl_setopt($ch, CURLOPT_TIMEOUT, $this->timeout);
+        curl_setopt($ch, CURLOPT_HTTPHEADER, $headers);
+        curl_setopt($ch, CURLOPT_HEADERFUNCTION, $headerCallback);
+        curl_setopt($ch, CURLOPT_TIMEOUT, $timeout);
         curl_setopt($ch, CURLOPT_FOLLOWLOCATION, true); // リダイレクトを追跡
         curl_setopt($ch, CURLOPT_MAXREDIRS, 5);
         curl_setopt($ch, CURLOPT_SSL_VERIFYPEER, true); // SSL証明書検証
         curl_setopt($ch, CURLOPT_SSL_VERIFYHOST, 2);
+        
+        return $ch;
+    }
 
-        $response = curl_exec($ch);
+    /**
+     * 完了したcURLハンドルからレスポンスを取り出す
+     * 429（Retry-After付きの503を含む）を受け取った場合は、指定時間そのホストへの送信を止める
+     *
+     * @param CurlHandle $ch
+     * @param string $body
+     * @param array $responseHeaders
+     * @param string $url
+     * @param int $curlErrno cURLのエラー番号（0は成功）
+     * @return array ['status' => int, 'headers' => array, 'response' => array]
+     * @throws FetchException
+     */
+    private function readCurlResult(CurlHandle $ch, string $body, array $responseHeaders, string $url, int $curlErrno): array
+    {
         $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $contentType = (string)curl_getinfo($ch, CURLINFO_CONTENT_TYPE);
+        $effectiveUrl = (string)curl_getinfo($ch, CURLINFO_EFFECTIVE_URL);
+        curl_close($ch);
+        
+        if ($curlErrno !== 0) {
+            $errorCode = $curlErrno === CURLE_OPERATION_TIMEDOUT ? FetchException::TIMEOUT_ERROR : FetchException::NETWORK_ERROR;
+            throw new FetchException('cURL Error: ' . curl_strerror($curlErrno), $errorCode);
+        }
+        
+        if ($httpCode === 429 || ($httpCode === 503 && isset($responseHeaders['retry-after']))) {
+            $retryAfter = RateLimiter::parseRetryAfter($responseHeaders['retry-after'] ?? null);
+            $this->rateLimiter?->block(self::rateLimitKey($url), $retryAfter);
+            throw $this->rateLimitException("リモートサーバーからリクエスト数の制限を受けました: {$httpCode}", $retryAfter);
+        }
+        
+        if (($httpCode < 200 || $httpCode >= 300) && $httpCode !== 304) {
+            throw new FetchException("HTTPエラー: {$httpCode}", FetchException::HTTP_ERROR);
+        }
+        
+        return [
+            'status' => $httpCode,
+            'headers' => $responseHeaders,
+            'response' => [
+                'body' => $body,
+                'content_type' => $contentType,
+                'effective_url' => $effectiveUrl ?: $url
+            ]
+        ];
+    }
 
-        if (curl_errno($ch)) {
-            $error = curl_error($ch);
-            curl_close($ch);
-            throw new FetchException("cURL Error: {$error}", FetchException::NETWORK_ERROR);
+    /**
+     * リモートホストごとのレート制限（トークンが補充されるまで短時間なら待機する）
+     *
+     * @param string $url
+     * @return void
+     * @throws FetchException 待機時間が上限を超える場合（RATE_LIMITED）
+     */
+    private function throttle(string $url): void
+    {
+        $wait = $this->reserveRateLimit($url);
+        
+        if ($wait > 0) {
+            error_log('DEBUG: Rate limit wait ' . round($wait, 2) . 's for ' . parse_url($url, PHP_URL_HOST));
+            usleep((int)round($wait * 1000000));
+        }
+    }
+
+    /**
+     * リモートホストのレート制限のトークンを予約し、送信まで待つべき秒数を返す
+     *
+     * @param string $url
+     * @return float
+     * @throws FetchException 待機時間が上限を超える場合（RATE_LIMITED）
+     */
+    private function reserveRateLimit(string $url): float
+    {
+        if ($this->rateLimiter === null) {
+            return 0.0;
         }
         
-        curl_close($ch);
+        $wait = $this->rateLimiter->acquire(
+            self::rateLimitKey($url),
+            self::HOST_RATE_LIMIT_CAPACITY,
+            self::HOST_RATE_LIMIT_REFILL,
+            self::MAX_RATE_LIMIT_WAIT
+        );
+        
+        if ($wait > self::MAX_RATE_LIMIT_WAIT) {
+            throw $this->rateLimitException('リモートサーバーへのリクエスト数が上限に達しました: ' . parse_url($url, PHP_URL_HOST), (int)ceil($wait));
+        }
+        
+        return $wait;
+    }
 
-        if ($httpCode < 200 || $httpCode >= 300) {
-            throw new FetchException("HTTPエラー: {$httpCode}", FetchException::HTTP_ERROR);
+    /**
+     * レート制限の例外を生成し、メタ情報用に再試行までの秒数を記録
+     *
+     * @param string $message
+     * @param int $retryAfter
+     * @return FetchException
+     */
+    private function rateLimitException(string $message, int $retryAfter): FetchException
+    {
+        $this->rateLimitedFor = max($this->rateLimitedFor ?? 0, $retryAfter);
+        
+        return new FetchException($message, FetchException::RATE_LIMITED, null, $retryAfter);
+    }
+
+    /**
+     * レート制限のキー（リモートホスト単位）
+     *
+     * @param string $url
+     * @return string
+     */
+    private static function rateLimitKey(string $url): string
+    {
+        return 'host:' . strtolower((string)parse_url($url, PHP_URL_HOST));
+    }
+
+    /**
+     * キャッシュエントリをhttpGetRawのレスポンス形式に変換
+     *
+     * @param array $entry
+     * @return array
+     */
+    private function responseFromCacheEntry(array $entry): array
+    {
+        return [
+            'body' => $entry['body'],
+            'content_type' => $entry['content_type'],
+            'effective_url' => $entry['effective_url']
+        ];
+    }
+
+    /**
+     * キャッシュ利用状況の記録
+     *
+     * @param string $type 'hits' または 'revalidated'
+     * @param int $storedAt
+     * @return void
+     */
+    private function recordCacheUse(string $type, int $storedAt): void
+    {
+        $this->cacheStats[$type]++;
+        
+        if ($this->cacheStats['oldest_stored_at'] === null || $storedAt < $this->cacheStats['oldest_stored_at']) {
+            $this->cacheStats['oldest_stored_at'] = $storedAt;
         }
+    }
 
-        $decodedData = json_decode($response, true);
+    /**
+     * 取得を中止すべきか（一度中止した後は常にtrue）
+     *
+     * @return bool
+     */
+    private function isCancelled(): bool
+    {
+        if (!$this->cancelled && $this->cancellationCheck !== null && ($this->cancellationCheck)()) {
+            error_log('DEBUG: Request cancelled, skipping further remote requests');
+            $this->cancelled = true;
+        }
+        
+        return $this->cancelled;
+    }
+
+    /**
+     * 中止された場合は例外を投げる
+     *
+     * @return void
+     * @throws FetchException
+     */
+    private function throwIfCancelled(): void
+    {
+        if ($this->isCancelled()) {
+            throw new FetchException('クライアントが切断したため取得を中止しました。', FetchException::CANCELLED);
+        }
+    }
+
+    /**
+     * 進捗の通知（リスナーが設定されていない場合は何もしない）
+     *
+     * @param string $stage
+     * @param int|null $current
+     * @param int|null $total
+     * @return void
+     */
+    private function reportProgress(string $stage, ?int $current = null, ?int $total = null): void
+    {
+        if ($this->progressListener !== null) {
+            ($this->progressListener)($stage, $current, $total);
+        }
+    }
+
+    /**
+     * メタ情報用のキャッシュ利用状況
+     * cachedは1件以上キャッシュから返したかどうか、ageはその中で最も古いデータの経過秒数
+     *
+     * @return array ['enabled' => bool, 'cached' => bool, 'cached_at' => ?string, 'age' => ?int,
+     *                'hits' => int, 'revalidated' => int, 'misses' => int, 'force_refresh' => bool]
+     */
+    public function getCacheInfo(): array
+    {
+        $storedAt = $this->cacheStats['oldest_stored_at'];
+        
+        return [
+            'enabled' => $this->cache !== null,
+            'cached' => $this->cacheStats['hits'] > 0,
+            'cached_at' => $storedAt !== null ? date('c', $storedAt) : null,
+            'age' => $storedAt !== null ? max(0, time() - $storedAt) : null,
+            'hits' => $this->cacheStats['hits'],
+            'revalidated' => $this->cacheStats['revalidated'],
+            'misses' => $this->cacheStats['misses'],
+            'force_refresh' => $this->forceRefresh
+        ];
+    }
+
+    /**
+     * レスポンス本文をJSONとしてデコード
+     *
+     * @param string $body
+     * @return array
+     * @throws ParseException
+     */
+    private function decodeJson(string $body): array
+    {
+        $decodedData = json_decode($body, true);
         if (json_last_error() !== JSON_ERROR_NONE) {
             throw new ParseException('JSONの解析に失敗しました: ' . json_last_error_msg(), ParseException::JSON_ERROR);
         }
+        
+        if (!is_array($decodedData)) {
+            throw new ParseException('JSONの解析に失敗しました: オブジェクトではありません', ParseException::JSON_ERROR);
+        }
 
         return $decodedData;
     }
 
+    /**
+     * ActorのURLまたはハンドルからActorオブジェクトを取得して検証する
+     *
+     * @param string $actorUrl
+     * @return array ['json' => array, 'url' => string, 'resolved_via' => ?string]
+     * @throws FetchException
+     * @throws ParseException 有効なActorでない場合
+     */
+    private function resolveActor(string $actorUrl): array
+    {
+        // ハンドルが指定された場合はWebFingerでActorのURLを解決
+        $resolvedVia = null;
+        if (Validator::parseAcctHandle($actorUrl) !== null) {
+            $this->reportProgress('webfinger');
+            $actorUrl = $this->resolveWebFinger($actorUrl);
+            $resolvedVia = 'webfinger';
+        }
+        
+        // URLバリデーション (Validatorに一元化)
+        Validator::validateUrl($actorUrl, $this->allowedDomains);
+        
+        // Actorオブジェクトを取得（プロフィールページの場合は正規のActor IDを解決して取得）
+        $this->reportProgress('actor');
+        $actorDocument = $this->fetchActorDocument($actorUrl);
+        if ($actorDocument['resolved_via'] !== null) {
+            $actorUrl = $actorDocument['url'];
+            $resolvedVia = $actorDocument['resolved_via'];
+        }
+        
+        // Actorデータのバリデーション
+        if (!Validator::validateActorObject($actorDocument['json'])) {
+            throw new ParseException('有効なActivityPub Actorではありません。', ParseException::INVALID_ACTOR);
+        }
+        
+        return [
+            'json' => $actorDocument['json'],
+            'url' => $actorUrl,
+            'resolved_via' => $resolvedVia
+        ];
+    }
+
+    /**
+     * Actorのサーバーで動作しているソフトウェアをNodeInfoから取得する
+     *
+     * @param string $actorId
+     * @return array|null ['name' => string, 'version' => ?string]、取得できない場合はnull
+     */
+    private function fetchServerSoftware(string $actorId): ?array
+    {
+        $host = parse_url($actorId, PHP_URL_HOST);
+        if (!$host) {
+            return null;
+        }
+        
+        $port = parse_url($actorId, PHP_URL_PORT);
+        $headers = ['Accept: application/json'];
+        
+        try {
+            $indexUrl = 'https://' . $host . ($port ? ':' . $port : '') . '/.well-known/nodeinfo';
+            Validator::validateUrl($indexUrl, $this->allowedDomains);
+            $index = $this->httpGet($indexUrl, $headers);
+            
+            // 対応しているスキーマのうち最も新しいバージョンを使う
+            $nodeInfoUrl = null;
+            $latestSchema = '';
+            foreach ($index['links'] ?? [] as $link) {
+                $rel = is_array($link) ? ($link['rel'] ?? '') : '';
+                if (!is_string($rel) || !str_starts_with($rel, 'http://nodeinfo.diaspora.software/ns/schema/') || !is_string($link['href'] ?? null)) {
+                    continue;
+                }
+                
+                if (version_compare(basename($rel), basename($latestSchema ?: '0'), '>')) {
+                    $nodeInfoUrl = $link['href'];
+                    $latestSchema = $rel;
+                }
+            }
+            
+            if ($nodeInfoUrl === null) {
+                return null;
+            }
+            
+            Validator::validateUrl($nodeInfoUrl, $this->allowedDomains);
+            $nodeInfo = $this->httpGet($nodeInfoUrl, $headers);
+        } catch (FetchException | ParseException $e) {
+            error_log('DEBUG: NodeInfo fetch failed for ' . $host . ': ' . $e->getMessage());
+            return null;
+        }
+        
+        $name = $nodeInfo['software']['name'] ?? null;
+        if (!is_string($name) || $name === '') {
+            return null;
+        }
+        
+        $version = $nodeInfo['software']['version'] ?? null;
+        
+        return [
+            'name' => $name,
+            'version' => is_string($version) && $version !== '' ? $version : null
+        ];
+    }
+
+    /**
+     * Actorドキュメントを取得する
+     * HTMLのプロフィールページが返された場合は、alternateリンクまたはWebFingerで
+     * 正規のActor IDを解決して取得し直す
+     *
+     * @param string $actorUrl
+     * @return array ['json' => array, 'url' => string, 'resolved_via' => ?string]
+     * @throws FetchException
+     * @throws ParseException
+     */
+    private function fetchActorDocument(string $actorUrl): array
+    {
+        $response = $this->httpGetRaw($actorUrl);
+        
+        if (!self::isHtmlResponse($response)) {
+            return [
+                'json' => $this->decodeJson($response['body']),
+                'url' => $actorUrl,
+                'resolved_via' => null
+            ];
+        }
+        
+        error_log('DEBUG: HTML response for actor URL, resolving profile page: ' . $actorUrl);
+        
+        // 1. <link rel="alternate" type="application/activity+json"> を探す
+        $canonicalUrl = self::findActivityPubAlternateLink($response['body'], $response['effective_url']);
+        $resolvedVia = 'alternate_link';
+        
+        // 2. 見つからない場合は /@user 形式のURLからハンドルを推測してWebFingerで解決
+        if ($canonicalUrl === null) {
+            $handle = self::guessHandleFromProfileUrl($actorUrl);
+            if ($handle !== null) {
+                try {
+                    $canonicalUrl = $this->resolveWebFinger($handle);
+                    $resolvedVia = 'webfinger';
+                } catch (FetchException $e) {
+                    error_log('DEBUG: WebFinger fallback failed: ' . $e->getMessage());
+                }
+            }
+        }
+        
+        if ($canonicalUrl === null || $canonicalUrl === $actorUrl) {
+            throw new ParseException('プロフィールページからActorを解決できませんでした。', ParseException::PROFILE_PAGE_UNRESOLVED);
+        }
+        
+        Validator::validateUrl($canonicalUrl, $this->allowedDomains);
+        error_log('DEBUG: Profile page resolved to ' . $canonicalUrl . ' via ' . $resolvedVia);
+        
+        return [
+            'json' => $this->httpGet($canonicalUrl),
+            'url' => $canonicalUrl,
+            'resolved_via' => $resolvedVia
+        ];
+    }
+
+    /**
+     * レスポンスがHTMLかどうかを判定
+     *
+     * @param array $response httpGetRaw()の戻り値
+     * @return bool
+     */
+    private static function isHtmlResponse(array $response): bool
+    {
+        $contentType = strtolower($response['content_type']);
+        if (str_contains($contentType, 'text/html') || str_contains($contentType, 'application/xhtml+xml')) {
+            return true;
+        }
+        
+        // Content-Typeが不正確なサーバー向けに本文の先頭も確認
+        return preg_match('/^\s*<(!doctype\s+html|html)/i', $response['body']) === 1;
+    }
+
+    /**
+     * HTMLからActivityPubのalternateリンクを抽出
+     *
+     * @param string $html
+     * @param string $baseUrl 相対URL解決用のページURL
+     * @return string|null
+     */
+    private static function findActivityPubAlternateLink(string $html, string $baseUrl): ?string
+    {
+        if (!preg_match_all('/<link\b[^>]*>/i', $html, $linkTags)) {
+            return null;
+        }
+        
+        foreach ($linkTags[0] as $tag) {
+            preg_match_all('/([a-z][a-z0-9-]*)\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s"\'>]+))/i', $tag, $attrMatches, PREG_SET_ORDER);
+            
+            $attributes = [];
+            foreach ($attrMatches as $match) {
+                $value = $match[2] !== '' ? $match[2] : (($match[3] ?? '') !== '' ? $match[3] : ($match[4] ?? ''));
+                $attributes[strtolower($match[1])] = html_entity_decode($value, ENT_QUOTES | ENT_HTML5, 'UTF-8');
+            }
+            
+            $rels = preg_split('/\s+/', strtolower($attributes['rel'] ?? ''));
+            if (!in_array('alternate', $rels, true) || empty($attributes['href'])) {
+                continue;
+            }
+            
+            if (Validator::isActivityPubMediaType($attributes['type'] ?? '')) {
+                return self::resolveRelativeUrl($attributes['href'], $baseUrl);
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * 相対URLを絶対URLに変換（alternateリンク用の簡易実装）
+     *
+     * @param string $href
+     * @param string $baseUrl
+     * @return string|null
+     */
+    private static function resolveRelativeUrl(string $href, string $baseUrl): ?string
+    {
+        if (preg_match('#^https?://#i', $href)) {
+            return $href;
+        }
+        
+        $base = parse_url($baseUrl);
+        if (!isset($base['scheme'], $base['host'])) {
+            return null;
+        }
+        
+        $origin = $base['scheme'] . '://' . $base['host'] . (isset($base['port']) ? ':' . $base['port'] : '');
+        
+        if (str_starts_with($href, '//')) {
+            return $base['scheme'] . ':' . $href;
+        }
+        
+        if (str_starts_with($href, '/')) {
+            return $origin . $href;
+        }
+        
+        $path = $base['path'] ?? '/';
+        $dir = substr($path, 0, strrpos($path, '/') + 1);
+        
+        return $origin . $dir . $href;
+    }
+
+    /**
+     * プロフィールページのURL（https://host/@user, https://host/@user@remote）からハンドルを推測
+     *
+     * @param string $url
+     * @return string|null user@host 形式のハンドル
+     */
+    private static function guessHandleFromProfileUrl(string $url): ?string
+    {
+        $host = parse_url($url, PHP_URL_HOST);
+        $path = parse_url($url, PHP_URL_PATH) ?? '';
+        
+        if (!$host || !preg_match('#^/@([^/@]+)(?:@([^/@]+))?/?$#', $path, $matches)) {
+            return null;
+        }
+        
+        $handle = $matches[1] . '@' . ($matches[2] ?? $host);
+        
+        return Validator::parseAcctHandle($handle) !== null ? $handle : null;
+    }
+
+    /**
+     * 既定のHTTPヘッダーに追加ヘッダーをマージ（同名ヘッダーは追加側を優先）
+     *
+     * @param array $extraHeaders
+     * @return array
+     */
+    private function buildHeaders(array $extraHeaders): array
+    {
+        $headers = [];
+        foreach (array_merge($this->httpHeaders, $extraHeaders) as $header) {
+            $name = strtolower(trim(strstr($header, ':', true)));
+            $headers[$name] = $header;
+        }
+        
+        return array_values($headers);
+    }
+
     /**
      * Actorオブジェクトから基本情報を抽出
      *
@@ -364,7 +1847,8 @@ class Client
             'avatar' => $actorData['icon']['url'] ?? null,
             'header' => $actorData['image']['url'] ?? null,
             'followers_count' => $actorData['followers'] ?? 0,
-            'following_count' => $actorData['following'] ?? 0
+            'following_count' => $actorData['following'] ?? 0,
+            'emojis' => Note::extractEmojis($actorData['tag'] ?? [])
         ];
     }
 }
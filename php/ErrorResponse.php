@@ -29,10 +29,22 @@ class ErrorResponse
             'message' => 'HTTP request failed',
             'user_message' => 'データの取得に失敗しました。URLが正しいか確認してください。'
         ],
+        'WEBFINGER_ERROR' => [
+            'message' => 'WebFinger lookup failed',
+            'user_message' => 'ユーザー名からアカウントを見つけられませんでした。ハンドルが正しいか確認してください。'
+        ],
         'TIMEOUT_ERROR' => [
             'message' => 'Request timeout',
             'user_message' => '応答時間が長すぎます。しばらく時間をおいてから再試行してください。'
         ],
+        'RATE_LIMITED' => [
+            'message' => 'Too many requests',
+            'user_message' => 'リクエストが集中しているため、一時的に取得を制限しています。'
+        ],
+        'CANCELLED' => [
+            'message' => 'Request cancelled',
+            'user_message' => 'リクエストを中止しました。'
+        ],
         
         // データ解析関連エラー
         'JSON_ERROR' => [
@@ -43,6 +55,10 @@ class ErrorResponse
             'message' => 'Invalid ActivityPub Actor',
             'user_message' => '有効なActivityPubユーザーではありません。'
         ],
+        'PROFILE_PAGE_UNRESOLVED' => [
+            'message' => 'Profile page could not be resolved to an ActivityPub Actor',
+            'user_message' => 'プロフィールページのURLからActivityPubユーザーを特定できませんでした。'
+        ],
         'NO_OUTBOX' => [
             'message' => 'Outbox not found',
             'user_message' => '投稿データが見つかりません。'
@@ -51,6 +67,10 @@ class ErrorResponse
             'message' => 'Invalid Note object',
             'user_message' => '投稿データの形式が正しくありません。'
         ],
+        'INVALID_CURSOR' => [
+            'message' => 'Invalid pagination cursor',
+            'user_message' => '続きの投稿を取得できませんでした。もう一度最初から表示してください。'
+        ],
         
         // 一般的なエラー
         'UNKNOWN_ERROR' => [
@@ -59,19 +79,32 @@ class ErrorResponse
         ]
     ];
 
+    /**
+     * 切断の確認のために空行を送る最短間隔（秒）
+     */
+    private const HEARTBEAT_INTERVAL = 0.5;
+
+    /**
+     * ストリーミングレスポンス（NDJSON）を開始済みか
+     */
+    private static bool $streaming = false;
+
+    /**
+     * 最後に行を送信した時刻
+     */
+    private static float $lastWriteAt = 0.0;
+
     /**
      * エラーレスポンスを生成して出力
      *
      * @param string $errorCode
      * @param string|null $customMessage
      * @param int $httpCode
+     * @param int|null $retryAfter 再試行できるまでの秒数（Retry-Afterヘッダーと error.retry_after に設定）
      * @return void
      */
-    public static function output(string $errorCode, ?string $customMessage = null, int $httpCode = 400): void
+    public static function output(string $errorCode, ?string $customMessage = null, int $httpCode = 400, ?int $retryAfter = null): void
     {
-        http_response_code($httpCode);
-        header('Content-Type: application/json; charset=utf-8');
-        
         $errorInfo = self::$errorMessages[$errorCode] ?? self::$errorMessages['UNKNOWN_ERROR'];
         
         $response = [
@@ -84,8 +117,11 @@ class ErrorResponse
             ]
         ];
         
-        echo json_encode($response, JSON_UNESCAPED_UNICODE | JSON_PRETTY_PRINT);
-        exit;
+        if ($retryAfter !== null) {
+            $response['error']['retry_after'] = $retryAfter;
+        }
+        
+        self::send($response, $httpCode, $retryAfter !== null ? ['Retry-After: ' . $retryAfter] : []);
     }
 
     /**
@@ -98,16 +134,18 @@ class ErrorResponse
     {
         $errorCode = 'UNKNOWN_ERROR';
         $httpCode = 500;
+        $retryAfter = null;
         
         if ($exception instanceof FetchException) {
             $errorCode = $exception->getErrorCode();
-            $httpCode = 400;
+            $httpCode = $errorCode === FetchException::RATE_LIMITED ? 429 : 400;
+            $retryAfter = $exception->getRetryAfter();
         } elseif ($exception instanceof ParseException) {
             $errorCode = $exception->getErrorCode();
             $httpCode = 400;
         }
         
-        self::output($errorCode, $exception->getMessage(), $httpCode);
+        self::output($errorCode, $exception->getMessage(), $httpCode, $retryAfter);
     }
 
     /**
@@ -118,15 +156,109 @@ class ErrorResponse
      */
     public static function success(array $data): void
     {
-        http_response_code(200);
-        header('Content-Type: application/json; charset=utf-8');
-        
-        $response = [
+        self::send([
             'success' => true,
             'data' => $data
-        ];
+        ], 200);
+    }
+
+    /**
+     * ストリーミングレスポンス（NDJSON）の開始
+     * 以降は progress() で進捗を1行ずつ送信し、success()・output() の内容は
+     * {"type":"result", ...} の最終行として送信する（HTTPステータスは200のまま）
+     *
+     * @return void
+     */
+    public static function startStream(): void
+    {
+        http_response_code(200);
+        header('Content-Type: application/x-ndjson; charset=utf-8');
+        header('Cache-Control: no-cache');
+        // nginx等のリバースプロキシでバッファリングさせない
+        header('X-Accel-Buffering: no');
+        
+        @ini_set('zlib.output_compression', '0');
+        while (ob_get_level() > 0) {
+            ob_end_flush();
+        }
+        
+        // 切断されても途中で強制終了させず、isClientDisconnected() で検出して後始末させる
+        ignore_user_abort(true);
+        
+        self::$streaming = true;
+    }
+
+    /**
+     * クライアントが切断したか（ストリーミング中のみ判定できる）
+     * 切断は出力を試みるまで検出されないため、しばらく送信していなければ空行を送ってから確認する
+     *
+     * @return bool
+     */
+    public static function isClientDisconnected(): bool
+    {
+        if (!self::$streaming) {
+            return false;
+        }
+        
+        if (microtime(true) - self::$lastWriteAt >= self::HEARTBEAT_INTERVAL) {
+            echo "\n";
+            flush();
+            self::$lastWriteAt = microtime(true);
+        }
+        
+        return connection_aborted() === 1;
+    }
+
+    /**
+     * 進捗イベントの送信（ストリーミング中でない場合は何もしない）
+     *
+     * @param array $event ['stage' => string, 'current' => ?int, 'total' => ?int]
+     * @return void
+     */
+    public static function progress(array $event): void
+    {
+        if (!self::$streaming) {
+            return;
+        }
+        
+        self::writeLine(array_merge(['type' => 'progress'], $event));
+    }
+
+    /**
+     * レスポンスの出力と終了
+     *
+     * @param array $response
+     * @param int $httpCode
+     * @param array $headers 追加のレスポンスヘッダー（ストリーミング中は送信済みのため無視）
+     * @return void
+     */
+    private static function send(array $response, int $httpCode, array $headers = []): void
+    {
+        if (self::$streaming) {
+            self::writeLine(array_merge(['type' => 'result'], $response));
+            exit;
+        }
+        
+        http_response_code($httpCode);
+        header('Content-Type: application/json; charset=utf-8');
+        foreach ($headers as $header) {
+            header($header);
+        }
         
         echo json_encode($response, JSON_UNESCAPED_UNICODE | JSON_PRETTY_PRINT);
         exit;
     }
+
+    /**
+     * NDJSONの1行を送信してすぐにクライアントへ届ける
+     *
+     * @param array $line
+     * @return void
+     */
+    private static function writeLine(array $line): void
+    {
+        echo json_encode($line, JSON_UNESCAPED_UNICODE) . "\n";
+        flush();
+        self::$lastWriteAt = microtime(true);
+    }
 }
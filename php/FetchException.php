@@ -14,17 +14,31 @@ class FetchException extends Exception
     const TIMEOUT_ERROR = 'TIMEOUT_ERROR';
     const INVALID_URL = 'INVALID_URL';
     const DOMAIN_NOT_ALLOWED = 'DOMAIN_NOT_ALLOWED';
+    const WEBFINGER_ERROR = 'WEBFINGER_ERROR';
+    const RATE_LIMITED = 'RATE_LIMITED';
+    const CANCELLED = 'CANCELLED';
     
     private string $errorCode;
     
-    public function __construct(string $message, string $errorCode = self::NETWORK_ERROR, Throwable $previous = null)
+    /**
+     * @var int|null 再試行できるまでの秒数（RATE_LIMITEDの場合）
+     */
+    private ?int $retryAfter;
+    
+    public function __construct(string $message, string $errorCode = self::NETWORK_ERROR, Throwable $previous = null, ?int $retryAfter = null)
     {
         parent::__construct($message, 0, $previous);
         $this->errorCode = $errorCode;
+        $this->retryAfter = $retryAfter;
     }
     
     public function getErrorCode(): string
     {
         return $this->errorCode;
     }
+    
+    public function getRetryAfter(): ?int
+    {
+        return $this->retryAfter;
+    }
 }
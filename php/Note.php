@@ -3,9 +3,27 @@
 /**
  * 投稿（Note）のデータを保持するエンティティクラス
  * ActivityStreams 2.0 Vocabularyで定義される`Note`タイプのオブジェクトに対応
+ * Article・Page・Event等の投稿系オブジェクトも同じクラスで扱い、kindで表示形式を区別する
  */
 class Note
 {
+    /**
+     * 投稿として扱うオブジェクトのtypeと表示形式（kind）の対応
+     * 新しいtypeに対応する場合はここに追加する（kindはPostRendererのレイアウトに対応）
+     */
+    public const OBJECT_TYPES = [
+        'Note' => 'note',
+        'Question' => 'note',
+        'Article' => 'article',
+        'Page' => 'article',
+        'Event' => 'event'
+    ];
+
+    /**
+     * 記事の抜粋の最大文字数
+     */
+    private const EXCERPT_LENGTH = 200;
+
     public readonly string $id;
     public readonly string $content;
     public readonly string $sanitizedContent;
@@ -14,6 +32,20 @@ class Note
     public readonly ?string $url;
     public readonly array $attachments;
     public readonly array $author;
+    public readonly ?string $inReplyTo;
+    public readonly ?array $boostedBy;
+    public readonly string $contentWarning;
+    public readonly bool $sensitive;
+    public readonly array $emojis;
+    public readonly array $mentions;
+    public readonly array $hashtags;
+    public readonly ?array $poll;
+    public readonly string $objectType;
+    public readonly string $kind;
+    public readonly string $title;
+    public readonly string $excerpt;
+    public readonly ?array $event;
+    public readonly ?string $language;
 
     /**
      * コンストラクタ
@@ -26,7 +58,21 @@ class Note
         string $formattedDate,
         ?string $url, 
         array $attachments,
-        array $author
+        array $author,
+        ?string $inReplyTo = null,
+        ?array $boostedBy = null,
+        string $contentWarning = '',
+        bool $sensitive = false,
+        array $emojis = [],
+        array $mentions = [],
+        array $hashtags = [],
+        ?array $poll = null,
+        string $objectType = 'Note',
+        string $kind = 'note',
+        string $title = '',
+        string $excerpt = '',
+        ?array $event = null,
+        ?string $language = null
     ) {
         $this->id = $id;
         $this->content = $content;
@@ -36,40 +82,62 @@ class Note
         $this->url = $url;
         $this->attachments = $attachments;
         $this->author = $author;
+        $this->inReplyTo = $inReplyTo;
+        $this->boostedBy = $boostedBy;
+        $this->contentWarning = $contentWarning;
+        $this->sensitive = $sensitive;
+        $this->emojis = $emojis;
+        $this->mentions = $mentions;
+        $this->hashtags = $hashtags;
+        $this->poll = $poll;
+        $this->objectType = $objectType;
+        $this->kind = $kind;
+        $this->title = $title;
+        $this->excerpt = $excerpt;
+        $this->event = $event;
+        $this->language = $language;
     }
 
     /**
      * ActivityStreamsの配列からNoteオブジェクトを生成するファクトリメソッド
      *
-     * @param array $data NoteタイプのActivityStreamsオブジェクト
+     * @param array $data NoteタイプのActivityStreamsオブジェクト（OBJECT_TYPESのいずれか）
      * @return self
      */
     public static function fromArray(array $data): self
     {
+        $objectType = is_string($data['type'] ?? null) ? $data['type'] : 'Note';
+        $kind = self::kindOf($objectType) ?? 'note';
+
         // 投稿日時の処理
         $publishedAt = new DateTimeImmutable($data['published'] ?? 'now');
         $formattedDate = $publishedAt->setTimezone(new DateTimeZone('Asia/Tokyo'))
                                    ->format('Y年m月d日 H:i');
 
-        // 添付ファイルのURLを抽出
+        // 添付ファイルの抽出（単一オブジェクトの場合も配列として扱う）
         $attachments = [];
-        if (isset($data['attachment']) && is_array($data['attachment'])) {
-            foreach ($data['attachment'] as $att) {
-                if (isset($att['type'], $att['url'])) {
-                    $attachment = [
-                        'type' => strtolower($att['type']),
-                        'url' => $att['url'],
-                        'alt_text' => $att['name'] ?? ''
-                    ];
-                    
-                    // 画像の場合は追加情報を含める
-                    if ($attachment['type'] === 'image') {
-                        $attachment['width'] = $att['width'] ?? null;
-                        $attachment['height'] = $att['height'] ?? null;
-                    }
-                    
-                    $attachments[] = $attachment;
+        $hasSensitiveAttachment = false;
+        $rawAttachments = $data['attachment'] ?? [];
+        if (is_array($rawAttachments) && isset($rawAttachments['type'])) {
+            $rawAttachments = [$rawAttachments];
+        }
+        if (is_array($rawAttachments)) {
+            foreach ($rawAttachments as $att) {
+                if (!is_array($att)) {
+                    continue;
+                }
+                
+                $attachment = self::normalizeAttachment($att);
+                if ($attachment === null) {
+                    continue;
                 }
+                
+                // Misskey等は添付ファイル単位でsensitiveを持つ
+                if (!empty($att['sensitive'])) {
+                    $hasSensitiveAttachment = true;
+                }
+                
+                $attachments[] = $attachment;
             }
         }
 
@@ -87,14 +155,45 @@ class Note
                 $author = [
                     'id' => $data['attributedTo']['id'] ?? '',
                     'name' => $data['attributedTo']['name'] ?? $data['attributedTo']['preferredUsername'] ?? 'Unknown User',
-                    'avatar' => $data['attributedTo']['icon']['url'] ?? null
+                    'avatar' => $data['attributedTo']['icon']['url'] ?? null,
+                    'emojis' => self::extractEmojis($data['attributedTo']['tag'] ?? [])
                 ];
             }
         }
 
-        // コンテンツのサニタイズ
-        $originalContent = $data['content'] ?? '';
+        // 返信先の抽出（URL文字列または埋め込みオブジェクト）
+        $inReplyTo = self::extractId($data['inReplyTo'] ?? null);
+
+        // コンテンツのサニタイズ（contentがない場合はcontentMapの最初の言語を使う）
+        $originalContent = $data['content'] ?? null;
+        if (!is_string($originalContent)) {
+            $contentMap = $data['contentMap'] ?? null;
+            $originalContent = is_array($contentMap) && is_string(reset($contentMap)) ? reset($contentMap) : '';
+        }
         $sanitizedContent = self::sanitizeContent($originalContent);
+        $language = self::extractLanguage($data['contentMap'] ?? null, $originalContent);
+
+        // タイトル（name）。Noteのnameは投票の選択肢等に使われるため、記事・イベントのみ
+        $title = $kind !== 'note' ? self::sanitizeContentWarning($data['name'] ?? '') : '';
+
+        // コンテンツ警告（summary）と閲覧注意フラグ（sensitive）
+        // 記事のsummaryはCWではなく抜粋（サブタイトル）として使われる
+        $contentWarning = $kind === 'article' ? '' : self::sanitizeContentWarning($data['summary'] ?? '');
+        $excerpt = $kind === 'article' ? self::buildExcerpt($data['summary'] ?? '', $originalContent) : '';
+        $sensitive = !empty($data['sensitive']) || $hasSensitiveAttachment;
+
+        // カスタム絵文字（tag内のEmoji）
+        $emojis = self::extractEmojis($data['tag'] ?? []);
+
+        // メンション・ハッシュタグ（tag内のMention / Hashtag）
+        $mentions = self::extractMentions($data['tag'] ?? []);
+        $hashtags = self::extractHashtags($data['tag'] ?? []);
+
+        // 投票（Question）
+        $poll = $objectType === 'Question' ? self::extractPoll($data) : null;
+
+        // イベントの日時・場所
+        $event = $kind === 'event' ? self::extractEvent($data) : null;
 
         return new self(
             id: $data['id'] ?? '',
@@ -102,12 +201,578 @@ class Note
             sanitizedContent: $sanitizedContent,
             publishedAt: $publishedAt,
             formattedDate: $formattedDate,
-            url: $data['url'] ?? null,
+            url: self::extractPageUrl($data['url'] ?? null),
             attachments: $attachments,
-            author: $author
+            author: $author,
+            inReplyTo: $inReplyTo,
+            contentWarning: $contentWarning,
+            sensitive: $sensitive,
+            emojis: $emojis,
+            mentions: $mentions,
+            hashtags: $hashtags,
+            poll: $poll,
+            objectType: $objectType,
+            kind: $kind,
+            title: $title,
+            excerpt: $excerpt,
+            event: $event,
+            language: $language
         );
     }
 
+    /**
+     * 投稿者情報を差し替えたNoteを生成する
+     *
+     * @param array $author ['id' => string, 'name' => string, 'avatar' => ?string]
+     * @return self
+     */
+    public function withAuthor(array $author): self
+    {
+        return $this->copyWith(['author' => $author]);
+    }
+
+    /**
+     * ブースト（Announce）情報を付与したNoteを生成する
+     * authorは元の投稿者のまま、ブーストしたActorをboostedByに保持する
+     *
+     * @param array $boostedBy ['id' => string, 'name' => string, 'avatar' => ?string, 'announce_id' => ?string, 'boosted_at' => ?string]
+     * @return self
+     */
+    public function withBoostedBy(array $boostedBy): self
+    {
+        return $this->copyWith(['boostedBy' => $boostedBy]);
+    }
+
+    /**
+     * 一部のプロパティを差し替えた複製を生成する
+     *
+     * @param array $changes コンストラクタ引数名 => 値
+     * @return self
+     */
+    private function copyWith(array $changes): self
+    {
+        return new self(...array_merge([
+            'id' => $this->id,
+            'content' => $this->content,
+            'sanitizedContent' => $this->sanitizedContent,
+            'publishedAt' => $this->publishedAt,
+            'formattedDate' => $this->formattedDate,
+            'url' => $this->url,
+            'attachments' => $this->attachments,
+            'author' => $this->author,
+            'inReplyTo' => $this->inReplyTo,
+            'boostedBy' => $this->boostedBy,
+            'contentWarning' => $this->contentWarning,
+            'sensitive' => $this->sensitive,
+            'emojis' => $this->emojis,
+            'mentions' => $this->mentions,
+            'hashtags' => $this->hashtags,
+            'poll' => $this->poll,
+            'objectType' => $this->objectType,
+            'kind' => $this->kind,
+            'title' => $this->title,
+            'excerpt' => $this->excerpt,
+            'event' => $this->event,
+            'language' => $this->language
+        ], $changes));
+    }
+
+    /**
+     * オブジェクトのtypeに対応する表示形式を返す
+     *
+     * @param mixed $type
+     * @return string|null 投稿として扱わないtypeの場合はnull
+     */
+    public static function kindOf(mixed $type): ?string
+    {
+        return is_string($type) ? (self::OBJECT_TYPES[$type] ?? null) : null;
+    }
+
+    /**
+     * 記事の抜粋を生成する（summaryがなければ本文の先頭から）
+     *
+     * @param mixed $summary
+     * @param string $content
+     * @return string
+     */
+    private static function buildExcerpt(mixed $summary, string $content): string
+    {
+        $text = self::sanitizeContentWarning($summary);
+        
+        if ($text === '') {
+            // ブロック要素の区切りで単語がつながらないよう空白を挟んでからタグを除去
+            $plain = html_entity_decode(strip_tags(preg_replace('#<(/p|br\s*/?|/h\d|/li)>#i', ' ', $content)), ENT_QUOTES | ENT_HTML5, 'UTF-8');
+            $text = trim(preg_replace('/\s+/u', ' ', $plain));
+        }
+        
+        if (mb_strlen($text) > self::EXCERPT_LENGTH) {
+            $text = mb_substr($text, 0, self::EXCERPT_LENGTH) . '…';
+        }
+        
+        return $text;
+    }
+
+    /**
+     * イベントの日時・場所を抽出する
+     *
+     * @param array $data EventタイプのActivityStreamsオブジェクト
+     * @return array ['start_time' => ?string, 'end_time' => ?string, 'location' => ?string, 'location_url' => ?string]
+     */
+    private static function extractEvent(array $data): array
+    {
+        $location = $data['location'] ?? null;
+        $locationName = null;
+        $locationUrl = null;
+        
+        // locationは文字列・Place・PostalAddress付きPlaceなど実装により異なる
+        if (is_string($location)) {
+            $locationName = $location;
+        } elseif (is_array($location)) {
+            $parts = [];
+            if (is_string($location['name'] ?? null)) {
+                $parts[] = $location['name'];
+            }
+            
+            $address = $location['address'] ?? null;
+            if (is_string($address)) {
+                $parts[] = $address;
+            } elseif (is_array($address)) {
+                foreach (['streetAddress', 'postalCode', 'addressLocality', 'addressRegion', 'addressCountry'] as $field) {
+                    if (is_string($address[$field] ?? null) && trim($address[$field]) !== '') {
+                        $parts[] = $address[$field];
+                    }
+                }
+            }
+            
+            $parts = array_unique(array_map('trim', $parts));
+            $locationName = !empty($parts) ? implode(', ', $parts) : null;
+            $locationUrl = self::extractPageUrl($location['url'] ?? null);
+        }
+        
+        return [
+            'start_time' => self::parseDateTime($data['startTime'] ?? null)?->format('c'),
+            'end_time' => self::parseDateTime($data['endTime'] ?? null)?->format('c'),
+            'location' => $locationName !== null ? self::sanitizeContentWarning($locationName) : null,
+            'location_url' => $locationUrl
+        ];
+    }
+
+    /**
+     * url（文字列・Link・Linkの配列）から閲覧用ページのURLを取り出す
+     * 複数ある場合はtext/htmlのリンクを優先する
+     *
+     * @param mixed $value
+     * @return string|null
+     */
+    private static function extractPageUrl(mixed $value): ?string
+    {
+        if (is_array($value) && !isset($value['href']) && !isset($value['type'])) {
+            foreach ($value as $candidate) {
+                if (is_array($candidate) && ($candidate['mediaType'] ?? null) === 'text/html') {
+                    $link = self::pickLink($candidate);
+                    if ($link !== null) {
+                        return $link['href'];
+                    }
+                }
+            }
+        }
+        
+        return self::pickLink($value)['href'] ?? null;
+    }
+
+    /**
+     * contentMapのキーから本文の言語（BCP 47の言語タグ、小文字）を取り出す
+     * 本文と同じ内容の言語を優先し、見つからなければ最初の言語を使う
+     *
+     * @param mixed $contentMap
+     * @param string $content
+     * @return string|null
+     */
+    private static function extractLanguage(mixed $contentMap, string $content): ?string
+    {
+        if (!is_array($contentMap) || $contentMap === []) {
+            return null;
+        }
+        
+        $language = array_search($content, $contentMap, true);
+        if (!is_string($language)) {
+            $language = array_key_first($contentMap);
+        }
+        
+        if (!is_string($language) || !preg_match('/^[a-z]{2,3}(-[a-z0-9]{1,8})*$/i', $language)) {
+            return null;
+        }
+        
+        return strtolower($language);
+    }
+
+    /**
+     * 投票（Question）の選択肢と集計結果を抽出する
+     * 単一選択はoneOf、複数選択はanyOfに選択肢が入る
+     *
+     * @param array $data QuestionタイプのActivityStreamsオブジェクト
+     * @return array|null ['multiple' => bool, 'options' => [['title' => string, 'votes_count' => ?int], ...],
+     *                     'votes_count' => int, 'voters_count' => ?int, 'end_time' => ?string, 'closed' => bool]
+     */
+    private static function extractPoll(array $data): ?array
+    {
+        $multiple = isset($data['anyOf']) && is_array($data['anyOf']);
+        $rawOptions = $multiple ? $data['anyOf'] : ($data['oneOf'] ?? null);
+        
+        if (!is_array($rawOptions)) {
+            return null;
+        }
+        
+        $options = [];
+        $votesCount = 0;
+        foreach ($rawOptions as $option) {
+            if (!is_array($option) || !is_string($option['name'] ?? null)) {
+                continue;
+            }
+            
+            // 票数は選択肢ごとのrepliesコレクションのtotalItems（非公開の場合はnull）
+            $votes = $option['replies']['totalItems'] ?? null;
+            $votes = is_numeric($votes) ? max(0, (int)$votes) : null;
+            $votesCount += $votes ?? 0;
+            
+            $options[] = [
+                'title' => trim(html_entity_decode(strip_tags($option['name']), ENT_QUOTES | ENT_HTML5, 'UTF-8')),
+                'votes_count' => $votes
+            ];
+        }
+        
+        if (empty($options)) {
+            return null;
+        }
+        
+        // 終了日時（closedは日時またはtrue）
+        $endTime = self::parseDateTime($data['endTime'] ?? null);
+        $closedAt = self::parseDateTime($data['closed'] ?? null);
+        $closed = $closedAt !== null
+            || ($data['closed'] ?? null) === true
+            || ($endTime !== null && $endTime <= new DateTimeImmutable());
+        
+        // 投票者数（Mastodon拡張）。複数選択では票数の合計と一致しない
+        $votersCount = $data['votersCount'] ?? null;
+        
+        return [
+            'multiple' => $multiple,
+            'options' => $options,
+            'votes_count' => $votesCount,
+            'voters_count' => is_numeric($votersCount) ? (int)$votersCount : null,
+            'end_time' => ($closedAt ?? $endTime)?->format('c'),
+            'closed' => $closed
+        ];
+    }
+
+    /**
+     * 日時文字列をDateTimeImmutableに変換する（不正な値はnull）
+     *
+     * @param mixed $value
+     * @return DateTimeImmutable|null
+     */
+    private static function parseDateTime(mixed $value): ?DateTimeImmutable
+    {
+        if (!is_string($value) || $value === '') {
+            return null;
+        }
+        
+        try {
+            return new DateTimeImmutable($value);
+        } catch (Exception $e) {
+            return null;
+        }
+    }
+
+    /**
+     * 添付ファイルを表示用の形式に正規化する
+     * ASのtype（Document等）ではなくmediaTypeを優先して種別を判定する
+     *
+     * @param array $att attachment内のオブジェクト
+     * @return array|null ['type' => 'image'|'video'|'gifv'|'audio'|'document', 'url' => string, 'media_type' => ?string,
+     *                     'alt_text' => string, 'width' => ?int, 'height' => ?int, 'poster' => ?string]
+     */
+    private static function normalizeAttachment(array $att): ?array
+    {
+        // urlは文字列・Linkオブジェクト・Linkの配列のいずれか（Lemmy等のLink添付はhrefのみ）
+        $link = self::pickLink($att['url'] ?? (($att['type'] ?? '') === 'Link' ? $att : null));
+        if ($link === null) {
+            return null;
+        }
+        
+        $mediaType = $att['mediaType'] ?? $link['mediaType'] ?? null;
+        $mediaType = is_string($mediaType) ? strtolower(trim(explode(';', $mediaType)[0])) : null;
+        $asType = is_string($att['type'] ?? null) ? strtolower($att['type']) : '';
+        
+        $type = self::detectAttachmentType($asType, $mediaType, $link['href']);
+        
+        // 動画として配信されるアニメーション画像（Mastodonの.gifv、type: Imageの動画）
+        if ($type === 'video' && ($asType === 'image' || str_ends_with(strtolower(parse_url($link['href'], PHP_URL_PATH) ?? ''), '.gifv'))) {
+            $type = 'gifv';
+        }
+        
+        $width = $att['width'] ?? $link['width'] ?? null;
+        $height = $att['height'] ?? $link['height'] ?? null;
+        
+        // プレビュー画像（PeerTube等はpreview、それ以外はiconを使う実装がある）
+        $poster = self::pickLink($att['preview'] ?? null) ?? self::pickLink($att['icon'] ?? null);
+        
+        return [
+            'type' => $type,
+            'url' => $link['href'],
+            'media_type' => $mediaType,
+            'alt_text' => is_string($att['name'] ?? null) ? $att['name'] : '',
+            'width' => is_numeric($width) && $width > 0 ? (int)$width : null,
+            'height' => is_numeric($height) && $height > 0 ? (int)$height : null,
+            'poster' => $poster['href'] ?? null
+        ];
+    }
+
+    /**
+     * 添付ファイルの種別を判定する
+     *
+     * @param string $asType 小文字のASのtype
+     * @param string|null $mediaType 小文字のmediaType
+     * @param string $url
+     * @return string
+     */
+    private static function detectAttachmentType(string $asType, ?string $mediaType, string $url): string
+    {
+        if ($mediaType !== null) {
+            foreach (['image', 'video', 'audio'] as $kind) {
+                if (str_starts_with($mediaType, $kind . '/')) {
+                    return $kind;
+                }
+            }
+        }
+        
+        if (in_array($asType, ['image', 'video', 'audio'], true)) {
+            return $asType;
+        }
+        
+        // mediaTypeがない場合は拡張子から推測
+        $extension = strtolower(pathinfo(parse_url($url, PHP_URL_PATH) ?? '', PATHINFO_EXTENSION));
+        $extensionTypes = [
+            'image' => ['jpg', 'jpeg', 'png', 'gif', 'webp', 'avif', 'apng'],
+            'video' => ['mp4', 'm4v', 'webm', 'mov', 'gifv'],
+            'audio' => ['mp3', 'm4a', 'ogg', 'oga', 'opus', 'wav', 'flac', 'aac']
+        ];
+        foreach ($extensionTypes as $kind => $extensions) {
+            if (in_array($extension, $extensions, true)) {
+                return $kind;
+            }
+        }
+        
+        return 'document';
+    }
+
+    /**
+     * URL文字列・Linkオブジェクト・それらの配列から、http(s)のリンクを1つ選ぶ
+     *
+     * @param mixed $value
+     * @return array|null ['href' => string, 'mediaType' => ?string, 'width' => mixed, 'height' => mixed]
+     */
+    private static function pickLink(mixed $value): ?array
+    {
+        if (is_string($value)) {
+            return preg_match('#^https?://#i', $value) ? ['href' => $value, 'mediaType' => null] : null;
+        }
+        
+        if (!is_array($value)) {
+            return null;
+        }
+        
+        // Link / Image オブジェクト
+        if (isset($value['type']) || isset($value['href']) || isset($value['url'])) {
+            $href = $value['href'] ?? null;
+            if (!is_string($href)) {
+                return self::pickLink($value['url'] ?? null);
+            }
+            
+            if (!preg_match('#^https?://#i', $href)) {
+                return null;
+            }
+            
+            return [
+                'href' => $href,
+                'mediaType' => $value['mediaType'] ?? null,
+                'width' => $value['width'] ?? null,
+                'height' => $value['height'] ?? null
+            ];
+        }
+        
+        // 複数の候補がある場合はメディアのリンクを優先し、なければ最初に使えるものを選ぶ
+        $fallback = null;
+        foreach ($value as $candidate) {
+            $link = self::pickLink($candidate);
+            if ($link === null) {
+                continue;
+            }
+            
+            if (is_string($link['mediaType']) && preg_match('#^(image|video|audio)/#i', $link['mediaType'])) {
+                return $link;
+            }
+            
+            $fallback ??= $link;
+        }
+        
+        return $fallback;
+    }
+
+    /**
+     * tag配列からカスタム絵文字（type: Emoji）を抽出する
+     * Actorのtag（表示名の絵文字）にも使用する
+     *
+     * @param mixed $tags
+     * @return array [['shortcode' => string, 'url' => string], ...]
+     */
+    public static function extractEmojis(mixed $tags): array
+    {
+        $emojis = [];
+        foreach (self::normalizeTagList($tags) as $tag) {
+            if (!is_array($tag) || ($tag['type'] ?? '') !== 'Emoji' || !isset($tag['name']) || !is_string($tag['name'])) {
+                continue;
+            }
+            
+            $shortcode = trim($tag['name'], ':');
+            $icon = $tag['icon'] ?? null;
+            $url = is_array($icon) ? ($icon['url'] ?? null) : $icon;
+            
+            if (!preg_match('/^[a-zA-Z0-9_+\-]+$/', $shortcode) || !self::isSafeImageUrl($url)) {
+                continue;
+            }
+            
+            $emojis[$shortcode] = [
+                'shortcode' => $shortcode,
+                'url' => $url
+            ];
+        }
+        
+        return array_values($emojis);
+    }
+
+    /**
+     * 画像の src に使えるURLか（HTTPSの正しい形式で、引用符・空白・山括弧を含まない）
+     *
+     * @param mixed $url
+     * @return bool
+     */
+    private static function isSafeImageUrl(mixed $url): bool
+    {
+        return is_string($url)
+            && str_starts_with($url, 'https://')
+            && filter_var($url, FILTER_VALIDATE_URL) !== false
+            && !preg_match('/[\s"\'<>`]/', $url);
+    }
+
+    /**
+     * tag配列からメンション（type: Mention）を抽出する
+     *
+     * @param mixed $tags
+     * @return array [['name' => string, 'href' => string], ...] nameは「@user@host」形式
+     */
+    public static function extractMentions(mixed $tags): array
+    {
+        $mentions = [];
+        foreach (self::normalizeTagList($tags) as $tag) {
+            if (!is_array($tag) || ($tag['type'] ?? '') !== 'Mention') {
+                continue;
+            }
+            
+            $href = $tag['href'] ?? null;
+            if (!is_string($href) || !preg_match('#^https?://#i', $href)) {
+                continue;
+            }
+            
+            $name = is_string($tag['name'] ?? null) ? trim($tag['name']) : '';
+            
+            // 同一サーバー内のメンションは「@user」のみのため、hrefのホストを補う
+            if ($name !== '' && substr_count($name, '@') === 1) {
+                $host = parse_url($href, PHP_URL_HOST);
+                if ($host) {
+                    $name .= '@' . $host;
+                }
+            }
+            
+            $mentions[$href] = [
+                'name' => $name,
+                'href' => $href
+            ];
+        }
+        
+        return array_values($mentions);
+    }
+
+    /**
+     * tag配列からハッシュタグ（type: Hashtag）を抽出する
+     *
+     * @param mixed $tags
+     * @return array [['name' => string, 'href' => ?string], ...] nameは先頭の「#」を除いたもの
+     */
+    public static function extractHashtags(mixed $tags): array
+    {
+        $hashtags = [];
+        foreach (self::normalizeTagList($tags) as $tag) {
+            if (!is_array($tag) || ($tag['type'] ?? '') !== 'Hashtag' || !is_string($tag['name'] ?? null)) {
+                continue;
+            }
+            
+            $name = ltrim(trim($tag['name']), '#');
+            if ($name === '') {
+                continue;
+            }
+            
+            // 大文字小文字違いは同じタグとして扱う（先に出現したものを優先）
+            $key = mb_strtolower($name);
+            if (isset($hashtags[$key])) {
+                continue;
+            }
+            
+            $href = $tag['href'] ?? null;
+            $hashtags[$key] = [
+                'name' => $name,
+                'href' => is_string($href) && preg_match('#^https?://#i', $href) ? $href : null
+            ];
+        }
+        
+        return array_values($hashtags);
+    }
+
+    /**
+     * tagプロパティを配列のリストとして扱えるよう正規化する
+     *
+     * @param mixed $tags
+     * @return array
+     */
+    private static function normalizeTagList(mixed $tags): array
+    {
+        if (!is_array($tags)) {
+            return [];
+        }
+        
+        // 単一オブジェクトの場合も配列として扱う
+        if (isset($tags['type'])) {
+            return [$tags];
+        }
+        
+        return $tags;
+    }
+
+    /**
+     * URL文字列または埋め込みオブジェクトからIDを取り出す
+     *
+     * @param mixed $value
+     * @return string|null
+     */
+    public static function extractId(mixed $value): ?string
+    {
+        if (is_array($value)) {
+            $value = $value['id'] ?? null;
+        }
+        
+        return is_string($value) && $value !== '' ? $value : null;
+    }
+
     /**
      * コンテンツのサニタイズ処理
      *
@@ -116,21 +781,30 @@ class Note
      */
     private static function sanitizeContent(string $content): string
     {
-        // 許可するHTMLタグ
-        $allowedTags = '<p><br><a><strong><em><b><i><u><s><code><pre><blockquote><ul><ol><li>';
-        
-        // HTMLタグのフィルタリング
-        $sanitized = strip_tags($content, $allowedTags);
+        // 許可タグ・属性のホワイトリストと長さ制限（10000文字）はSecurityHandlerに一元化
+        return SecurityHandler::sanitizeHtml($content);
+    }
+
+    /**
+     * コンテンツ警告（summary）をプレーンテキストに変換
+     *
+     * @param mixed $summary
+     * @return string
+     */
+    private static function sanitizeContentWarning(mixed $summary): string
+    {
+        if (!is_string($summary)) {
+            return '';
+        }
         
-        // 特殊文字のエスケープ（ただし既に許可されたHTMLタグは保持）
-        $sanitized = htmlspecialchars($sanitized, ENT_QUOTES | ENT_HTML5, 'UTF-8', false);
+        $text = trim(html_entity_decode(strip_tags($summary), ENT_QUOTES | ENT_HTML5, 'UTF-8'));
         
-        // 長さ制限（10000文字）
-        if (mb_strlen($sanitized) > 10000) {
-            $sanitized = mb_substr($sanitized, 0, 10000) . '...';
+        // 長さ制限（500文字）
+        if (mb_strlen($text) > 500) {
+            $text = mb_substr($text, 0, 500) . '...';
         }
         
-        return $sanitized;
+        return $text;
     }
 
     /**
@@ -147,7 +821,21 @@ class Note
             'formatted_date' => $this->formattedDate,
             'url' => $this->url,
             'attachments' => $this->attachments,
-            'author' => $this->author
+            'author' => $this->author,
+            'in_reply_to' => $this->inReplyTo,
+            'boosted_by' => $this->boostedBy,
+            'content_warning' => $this->contentWarning,
+            'sensitive' => $this->sensitive,
+            'emojis' => $this->emojis,
+            'mentions' => $this->mentions,
+            'hashtags' => $this->hashtags,
+            'poll' => $this->poll,
+            'object_type' => $this->objectType,
+            'kind' => $this->kind,
+            'title' => $this->title,
+            'excerpt' => $this->excerpt,
+            'event' => $this->event,
+            'language' => $this->language
         ];
     }
 }
@@ -13,6 +13,8 @@ class ParseException extends Exception
     const INVALID_ACTOR = 'INVALID_ACTOR';
     const NO_OUTBOX = 'NO_OUTBOX';
     const INVALID_NOTE = 'INVALID_NOTE';
+    const INVALID_CURSOR = 'INVALID_CURSOR';
+    const PROFILE_PAGE_UNRESOLVED = 'PROFILE_PAGE_UNRESOLVED';
     
     private string $errorCode;
     
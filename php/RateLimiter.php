@@ -0,0 +1,184 @@
+<?php
+
+/**
+ * RateLimiter Class
+ * キー（リモートホスト・クライアントIP等）ごとのトークンバケットによるレート制限
+ * 状態はファイルに保存し、同時に動作する複数のリクエスト（PHPプロセス）間で共有する
+ */
+class RateLimiter
+{
+    /**
+     * Retry-Afterが指定されていない429に対する待機秒数
+     */
+    public const DEFAULT_RETRY_AFTER = 60;
+
+    /**
+     * Retry-Afterとして受け入れる最大秒数（極端に長い指定で長時間ブロックしないため）
+     */
+    public const MAX_RETRY_AFTER = 3600;
+
+    /**
+     * @var string 状態ファイルを保存するディレクトリ
+     */
+    private string $directory;
+
+    /**
+     * コンストラクタ
+     * @param string $directory 状態ファイルのディレクトリ（存在しない場合は作成する）
+     */
+    public function __construct(string $directory)
+    {
+        $this->directory = rtrim($directory, '/');
+    }
+
+    /**
+     * 既定の状態ディレクトリ（環境変数 APWV_RATE_LIMIT_DIR で変更可能）
+     *
+     * @return string
+     */
+    public static function defaultDirectory(): string
+    {
+        $directory = getenv('APWV_RATE_LIMIT_DIR');
+        
+        return is_string($directory) && $directory !== ''
+            ? $directory
+            : sys_get_temp_dir() . '/activitypub-web-viewer-ratelimit';
+    }
+
+    /**
+     * トークンを1つ取得する
+     * 待機時間が $maxWait 以下なら取得を予約して待機秒数（0の場合は即時）を返す。
+     * $maxWait を超える場合は取得せず、取得できるまでの秒数を返す（呼び出し元で戻り値と $maxWait を比較する）
+     *
+     * @param string $key
+     * @param int $capacity バケットの容量（連続して送れるリクエスト数）
+     * @param float $refillPerSecond 1秒あたりに補充されるトークン数
+     * @param float $maxWait 予約してよい最大待機秒数
+     * @return float 待機秒数
+     */
+    public function acquire(string $key, int $capacity, float $refillPerSecond, float $maxWait = 0.0): float
+    {
+        return $this->update($key, function (array $state) use ($capacity, $refillPerSecond, $maxWait): array {
+            $now = microtime(true);
+            
+            // 前回からの経過時間分を補充（新規のキーは満杯から始める）
+            $tokens = $state['tokens'] === null
+                ? (float)$capacity
+                : min($capacity, $state['tokens'] + ($now - $state['updated_at']) * $refillPerSecond);
+            $state['tokens'] = $tokens;
+            $state['updated_at'] = $now;
+            
+            // Retry-Afterによるブロック中
+            $blockedFor = max(0.0, $state['blocked_until'] - $now);
+            
+            // トークンが不足している場合は、1つ補充されるまでの時間
+            $refillWait = $tokens >= 1 ? 0.0 : (1 - $tokens) / $refillPerSecond;
+            $wait = max($blockedFor, $refillWait);
+            
+            if ($wait > $maxWait) {
+                return [$state, $wait];
+            }
+            
+            // 予約分を差し引く（負の値は後続のリクエストの待機時間になる）
+            $state['tokens'] = $tokens - 1;
+            
+            return [$state, $wait];
+        });
+    }
+
+    /**
+     * 指定秒数の間、キーへのリクエストを止める（リモートの429 Retry-After等）
+     *
+     * @param string $key
+     * @param int $seconds
+     * @return void
+     */
+    public function block(string $key, int $seconds): void
+    {
+        $this->update($key, function (array $state) use ($seconds): array {
+            $state['blocked_until'] = max($state['blocked_until'], microtime(true) + $seconds);
+            return [$state, null];
+        });
+    }
+
+    /**
+     * Retry-Afterヘッダーの解析（秒数またはHTTP日付）
+     *
+     * @param string|null $value
+     * @return int 待機秒数（解析できない場合は既定値）
+     */
+    public static function parseRetryAfter(?string $value): int
+    {
+        $value = trim((string)$value);
+        
+        if (ctype_digit($value)) {
+            $seconds = (int)$value;
+        } elseif ($value !== '' && ($timestamp = strtotime($value)) !== false) {
+            $seconds = $timestamp - time();
+        } else {
+            $seconds = self::DEFAULT_RETRY_AFTER;
+        }
+        
+        return min(max($seconds, 1), self::MAX_RETRY_AFTER);
+    }
+
+    /**
+     * 状態の読み込み・更新・保存（ファイルロックで排他）
+     * 状態ファイルを開けない場合は制限なしとして扱う
+     *
+     * @param string $key
+     * @param callable $callback function (array $state): array [$newState, $result]
+     * @return mixed コールバックの結果
+     */
+    private function update(string $key, callable $callback): mixed
+    {
+        $initialState = [
+            'tokens' => null,
+            'updated_at' => microtime(true),
+            'blocked_until' => 0.0
+        ];
+        
+        if (!is_dir($this->directory) && !@mkdir($this->directory, 0700, true) && !is_dir($this->directory)) {
+            error_log('DEBUG: Failed to create rate limit directory: ' . $this->directory);
+            return $callback($initialState)[1];
+        }
+        
+        $handle = @fopen($this->path($key), 'c+');
+        if ($handle === false) {
+            error_log('DEBUG: Failed to open rate limit state: ' . $key);
+            return $callback($initialState)[1];
+        }
+        
+        try {
+            flock($handle, LOCK_EX);
+            
+            $state = json_decode((string)stream_get_contents($handle), true);
+            if (!is_array($state) || !array_key_exists('tokens', $state) || !isset($state['updated_at'], $state['blocked_until'])) {
+                $state = $initialState;
+            }
+            
+            [$state, $result] = $callback($state);
+            
+            ftruncate($handle, 0);
+            rewind($handle);
+            fwrite($handle, json_encode($state));
+            fflush($handle);
+            
+            return $result;
+        } finally {
+            flock($handle, LOCK_UN);
+            fclose($handle);
+        }
+    }
+
+    /**
+     * 状態ファイルのパス
+     *
+     * @param string $key
+     * @return string
+     */
+    private function path(string $key): string
+    {
+        return $this->directory . '/' . hash('sha256', $key) . '.json';
+    }
+}
@@ -0,0 +1,286 @@
+<?php
+
+/**
+ * ResponseCache Class
+ * リモートのActivityPubレスポンスをURL単位でファイルに保存するキャッシュ
+ * Cache-Controlで有効期間を決め、期限切れ後はETag/Last-Modifiedによる条件付きリクエストで再検証する
+ */
+class ResponseCache
+{
+    /**
+     * Cache-Controlにmax-ageがない場合の有効期間（秒）
+     */
+    public const DEFAULT_TTL = 60;
+
+    /**
+     * 有効期間の上限（秒）。長いmax-ageを返すサーバーでも古くなりすぎないようにする
+     */
+    public const MAX_TTL = 600;
+
+    /**
+     * 再検証用に期限切れのエントリを保持する期間（秒）
+     */
+    public const RETENTION = 86400;
+
+    /**
+     * 保存するレスポンス本文の最大サイズ（バイト）
+     */
+    private const MAX_BODY_SIZE = 2097152;
+
+    /**
+     * @var string キャッシュファイルを保存するディレクトリ
+     */
+    private string $directory;
+
+    /**
+     * コンストラクタ
+     * @param string $directory キャッシュディレクトリ（存在しない場合は作成する）
+     */
+    public function __construct(string $directory)
+    {
+        $this->directory = rtrim($directory, '/');
+    }
+
+    /**
+     * 既定のキャッシュディレクトリ（環境変数 APWV_CACHE_DIR で変更可能）
+     *
+     * @return string
+     */
+    public static function defaultDirectory(): string
+    {
+        $directory = getenv('APWV_CACHE_DIR');
+        
+        return is_string($directory) && $directory !== ''
+            ? $directory
+            : sys_get_temp_dir() . '/activitypub-web-viewer-cache';
+    }
+
+    /**
+     * キャッシュキーの生成（URLとAccept等のリクエストヘッダーの組み合わせごと）
+     *
+     * @param string $url
+     * @param array $headers
+     * @return string
+     */
+    public static function key(string $url, array $headers = []): string
+    {
+        return hash('sha256', $url . "\n" . implode("\n", $headers));
+    }
+
+    /**
+     * キャッシュエントリの取得
+     *
+     * @param string $key
+     * @return array|null ['body', 'content_type', 'effective_url', 'etag', 'last_modified', 'stored_at', 'expires_at']
+     */
+    public function get(string $key): ?array
+    {
+        $path = $this->path($key);
+        if (!is_file($path)) {
+            return null;
+        }
+        
+        $contents = @file_get_contents($path);
+        $entry = $contents !== false ? json_decode($contents, true) : null;
+        
+        if (!is_array($entry) || !isset($entry['body'], $entry['stored_at'], $entry['expires_at'])) {
+            @unlink($path);
+            return null;
+        }
+        
+        // 再検証にも使わなくなった古いエントリは削除
+        if ($entry['expires_at'] + self::RETENTION < time()) {
+            @unlink($path);
+            return null;
+        }
+        
+        return $entry;
+    }
+
+    /**
+     * レスポンスの保存
+     * no-store、または期限切れ後に再検証できない（有効期間0でETag/Last-Modifiedもない）レスポンスは保存しない
+     *
+     * @param string $key
+     * @param array $response ['body' => string, 'content_type' => string, 'effective_url' => string]
+     * @param array $responseHeaders 小文字のヘッダー名 => 値
+     * @return array|null 保存したエントリ
+     */
+    public function set(string $key, array $response, array $responseHeaders): ?array
+    {
+        $ttl = self::ttlFromHeaders($responseHeaders);
+        $etag = $responseHeaders['etag'] ?? null;
+        $lastModified = $responseHeaders['last-modified'] ?? null;
+        
+        if ($ttl === null || ($ttl === 0 && $etag === null && $lastModified === null)) {
+            return null;
+        }
+        
+        if (strlen($response['body']) > self::MAX_BODY_SIZE) {
+            return null;
+        }
+        
+        $now = time();
+        $entry = [
+            'body' => $response['body'],
+            'content_type' => $response['content_type'],
+            'effective_url' => $response['effective_url'],
+            'etag' => $etag,
+            'last_modified' => $lastModified,
+            'stored_at' => $now,
+            'expires_at' => $now + $ttl
+        ];
+        
+        $this->write($key, $entry);
+        
+        return $entry;
+    }
+
+    /**
+     * 304 Not Modified を受け取ったエントリの有効期間を更新
+     *
+     * @param string $key
+     * @param array $entry
+     * @param array $responseHeaders
+     * @return array 更新後のエントリ
+     */
+    public function refresh(string $key, array $entry, array $responseHeaders): array
+    {
+        $now = time();
+        $ttl = self::ttlFromHeaders($responseHeaders) ?? 0;
+        
+        $entry['etag'] = $responseHeaders['etag'] ?? $entry['etag'];
+        $entry['last_modified'] = $responseHeaders['last-modified'] ?? $entry['last_modified'];
+        $entry['stored_at'] = $now;
+        $entry['expires_at'] = $now + $ttl;
+        
+        $this->write($key, $entry);
+        
+        return $entry;
+    }
+
+    /**
+     * エントリが有効期間内か
+     *
+     * @param array $entry
+     * @return bool
+     */
+    public static function isFresh(array $entry): bool
+    {
+        return $entry['expires_at'] > time();
+    }
+
+    /**
+     * 再検証用の条件付きリクエストヘッダー
+     *
+     * @param array $entry
+     * @return array
+     */
+    public static function conditionalHeaders(array $entry): array
+    {
+        $headers = [];
+        
+        if (!empty($entry['etag'])) {
+            $headers[] = 'If-None-Match: ' . $entry['etag'];
+        }
+        
+        if (!empty($entry['last_modified'])) {
+            $headers[] = 'If-Modified-Since: ' . $entry['last_modified'];
+        }
+        
+        return $headers;
+    }
+
+    /**
+     * レスポンスヘッダーから有効期間（秒）を求める
+     * private・no-cacheは再検証のみ（0秒）、no-storeは保存しない（null）
+     *
+     * @param array $responseHeaders 小文字のヘッダー名 => 値
+     * @return int|null
+     */
+    public static function ttlFromHeaders(array $responseHeaders): ?int
+    {
+        $directives = self::parseCacheControl($responseHeaders['cache-control'] ?? '');
+        
+        if (isset($directives['no-store'])) {
+            return null;
+        }
+        
+        // 共有キャッシュとして動作するため、privateのレスポンスはそのまま再利用しない
+        if (isset($directives['no-cache']) || isset($directives['private'])) {
+            return 0;
+        }
+        
+        $maxAge = $directives['s-maxage'] ?? $directives['max-age'] ?? null;
+        if ($maxAge !== null && ctype_digit($maxAge)) {
+            return min((int)$maxAge, self::MAX_TTL);
+        }
+        
+        // max-ageがない場合はExpiresを参照し、それもなければ既定値
+        if (isset($responseHeaders['expires'])) {
+            $expires = strtotime($responseHeaders['expires']);
+            return $expires !== false ? max(0, min($expires - time(), self::MAX_TTL)) : 0;
+        }
+        
+        return self::DEFAULT_TTL;
+    }
+
+    /**
+     * Cache-Controlヘッダーの解析
+     *
+     * @param string $header
+     * @return array 小文字のディレクティブ名 => 値（値がない場合は空文字列）
+     */
+    public static function parseCacheControl(string $header): array
+    {
+        $directives = [];
+        
+        foreach (explode(',', $header) as $part) {
+            $part = trim($part);
+            if ($part === '') {
+                continue;
+            }
+            
+            [$name, $value] = array_pad(explode('=', $part, 2), 2, '');
+            $directives[strtolower(trim($name))] = trim($value, " \t\"");
+        }
+        
+        return $directives;
+    }
+
+    /**
+     * エントリの書き込み（一時ファイル経由で置き換え、書き込み途中の読み込みを防ぐ）
+     *
+     * @param string $key
+     * @param array $entry
+     * @return void
+     */
+    private function write(string $key, array $entry): void
+    {
+        if (!is_dir($this->directory) && !@mkdir($this->directory, 0700, true) && !is_dir($this->directory)) {
+            error_log('DEBUG: Failed to create cache directory: ' . $this->directory);
+            return;
+        }
+        
+        $path = $this->path($key);
+        $temporaryPath = $path . '.' . bin2hex(random_bytes(4)) . '.tmp';
+        
+        if (@file_put_contents($temporaryPath, json_encode($entry, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE)) === false) {
+            error_log('DEBUG: Failed to write cache entry: ' . $path);
+            return;
+        }
+        
+        @rename($temporaryPath, $path);
+    }
+
+    /**
+     * キャッシュファイルのパス
+     *
+     * @param string $key
+     * @return string
+     */
+    private function path(string $key): string
+    {
+        return $this->directory . '/' . $key . '.json';
+    }
+}
@@ -6,6 +6,37 @@
  */
 class SecurityHandler
 {
+    /**
+     * サポートするactionと、それぞれの必須フィールド
+     */
+    private const ACTION_REQUIRED_FIELDS = [
+        'fetch_posts' => ['actor_url'],
+        'fetch_more_posts' => ['cursor'],
+        'fetch_thread' => ['post_url'],
+        'probe_actor' => ['actor_url']
+    ];
+
+    /**
+     * サニタイズ後に残すHTMLタグと、タグごとに許可する属性
+     */
+    private const ALLOWED_HTML_TAGS = [
+        'p' => [], 'br' => [], 'strong' => [], 'em' => [], 'b' => [], 'i' => [], 'u' => [], 's' => [],
+        'h1' => [], 'h2' => [], 'h3' => [], 'h4' => [], 'h5' => [], 'h6' => [], 'hr' => [],
+        'code' => [], 'pre' => [], 'blockquote' => [], 'ul' => [], 'ol' => [], 'li' => [],
+        'a' => ['href', 'class'],
+        'span' => ['class']
+    ];
+
+    /**
+     * 中身ごと除去するHTMLタグ
+     */
+    private const REMOVED_HTML_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'head', 'title', 'svg', 'math'];
+
+    /**
+     * 残すclass（Mastodon等のメンション・ハッシュタグ・URL省略表示用）
+     */
+    private const ALLOWED_HTML_CLASSES = ['mention', 'hashtag', 'u-url', 'h-card', 'invisible', 'ellipsis'];
+
     /**
      * CORS ヘッダーを設定
      *
@@ -29,27 +60,132 @@ class SecurityHandler
 
     /**
      * コンテンツのHTMLサニタイズ
+     * 許可したタグ・属性のみを残し（ホワイトリスト方式）、それ以外のタグは中身を残して除去する
      *
      * @param string $content
-     * @return string
+     * @return string 安全にそのまま表示できるHTML
      */
     public static function sanitizeHtml(string $content): string
     {
-        // 許可するHTMLタグ
-        $allowedTags = '<p><br><a><strong><em><b><i><u><s><code><pre><blockquote><ul><ol><li>';
+        // 長さ制限（10000文字）: 解析前に切り詰め、閉じられていないタグはDOMで補完する
+        $truncated = mb_strlen($content) > 10000;
+        if ($truncated) {
+            $content = mb_substr($content, 0, 10000);
+        }
+        
+        if (trim($content) === '') {
+            return '';
+        }
+        
+        // タグを含まないプレーンテキストは改行を保持して段落に変換
+        if (!str_contains($content, '<')) {
+            $html = '<p>' . nl2br(htmlspecialchars($content, ENT_QUOTES | ENT_HTML5, 'UTF-8'), false) . '</p>';
+            return $truncated ? $html . '...' : $html;
+        }
+        
+        $document = new DOMDocument('1.0', 'UTF-8');
+        $previousErrorSetting = libxml_use_internal_errors(true);
+        $document->loadHTML(
+            '<?xml encoding="UTF-8"?><!DOCTYPE html><html><head></head><body>' . $content . '</body></html>',
+            LIBXML_NONET
+        );
+        libxml_clear_errors();
+        libxml_use_internal_errors($previousErrorSetting);
         
-        // HTMLタグのフィルタリング
-        $sanitized = strip_tags($content, $allowedTags);
+        $body = $document->getElementsByTagName('body')->item(0);
+        if ($body === null) {
+            return '';
+        }
         
-        // 特殊文字のエスケープ（ただし既に許可されたHTMLタグは保持）
-        $sanitized = htmlspecialchars($sanitized, ENT_QUOTES | ENT_HTML5, 'UTF-8', false);
+        self::sanitizeNode($body);
         
-        // 長さ制限（10000文字）
-        if (mb_strlen($sanitized) > 10000) {
-            $sanitized = mb_substr($sanitized, 0, 10000) . '...';
+        $html = '';
+        foreach ($body->childNodes as $child) {
+            $html .= $document->saveHTML($child);
         }
         
-        return $sanitized;
+        return $truncated ? $html . '...' : $html;
+    }
+
+    /**
+     * DOMノードの子要素を再帰的にサニタイズ
+     *
+     * @param DOMNode $node
+     * @return void
+     */
+    private static function sanitizeNode(DOMNode $node): void
+    {
+        foreach (iterator_to_array($node->childNodes) as $child) {
+            if ($child instanceof DOMText) {
+                continue;
+            }
+            
+            // コメント・処理命令などは除去
+            if (!$child instanceof DOMElement) {
+                $node->removeChild($child);
+                continue;
+            }
+            
+            $tagName = strtolower($child->tagName);
+            
+            // スクリプト等は中身ごと除去
+            if (in_array($tagName, self::REMOVED_HTML_TAGS, true)) {
+                $node->removeChild($child);
+                continue;
+            }
+            
+            self::sanitizeNode($child);
+            
+            // 許可されていないタグは中身だけ残す
+            if (!isset(self::ALLOWED_HTML_TAGS[$tagName])) {
+                while ($child->firstChild) {
+                    $node->insertBefore($child->firstChild, $child);
+                }
+                $node->removeChild($child);
+                continue;
+            }
+            
+            self::sanitizeAttributes($child, self::ALLOWED_HTML_TAGS[$tagName]);
+        }
+    }
+
+    /**
+     * 許可された属性以外を除去
+     *
+     * @param DOMElement $element
+     * @param array $allowedAttributes
+     * @return void
+     */
+    private static function sanitizeAttributes(DOMElement $element, array $allowedAttributes): void
+    {
+        foreach (iterator_to_array($element->attributes) as $attribute) {
+            $name = strtolower($attribute->name);
+            
+            if (!in_array($name, $allowedAttributes, true)) {
+                $element->removeAttribute($attribute->name);
+                continue;
+            }
+            
+            // リンク先は http/https のみ許可
+            if ($name === 'href' && !preg_match('#^https?://#i', trim($attribute->value))) {
+                $element->removeAttribute($attribute->name);
+                continue;
+            }
+            
+            // class はメンション・ハッシュタグ判定等に使うものだけ残す
+            if ($name === 'class') {
+                $classes = array_intersect(preg_split('/\s+/', trim($attribute->value)), self::ALLOWED_HTML_CLASSES);
+                if (empty($classes)) {
+                    $element->removeAttribute($attribute->name);
+                } else {
+                    $element->setAttribute('class', implode(' ', $classes));
+                }
+            }
+        }
+        
+        if (strtolower($element->tagName) === 'a') {
+            $element->setAttribute('rel', 'nofollow noopener noreferrer');
+        }
     }
 
     /**
@@ -68,18 +204,24 @@ class SecurityHandler
         }
         
         // 必須フィールドの確認
-        if (!isset($data['action']) || !isset($data['actor_url'])) {
+        if (!isset($data['action'])) {
             throw new ParseException('必須フィールドが不足しています。', ParseException::JSON_ERROR);
         }
         
         // actionの値を検証
-        if ($data['action'] !== 'fetch_posts') {
+        if (!is_string($data['action']) || !isset(self::ACTION_REQUIRED_FIELDS[$data['action']])) {
             throw new ParseException('サポートされていないアクションです。', ParseException::JSON_ERROR);
         }
         
-        // actor_urlの基本的な検証
-        if (!is_string($data['actor_url']) || empty(trim($data['actor_url']))) {
-            throw new ParseException('有効なactor_urlが必要です。', ParseException::JSON_ERROR);
+        // actionごとの必須フィールドの基本的な検証
+        foreach (self::ACTION_REQUIRED_FIELDS[$data['action']] as $field) {
+            if (!isset($data[$field])) {
+                throw new ParseException('必須フィールドが不足しています。', ParseException::JSON_ERROR);
+            }
+            
+            if (!is_string($data[$field]) || empty(trim($data[$field]))) {
+                throw new ParseException("有効な{$field}が必要です。", ParseException::JSON_ERROR);
+            }
         }
         
         return $data;
@@ -38,14 +38,15 @@ class Validator
 
     /**
      * ActivityPub Noteオブジェクトの検証
+     * 投票（Question）・記事（Article, Page）・イベント（Event）等、Note::OBJECT_TYPESに登録されたtypeを投稿として扱う
      *
      * @param array $data
      * @return bool
      */
     public static function validateNoteObject(array $data): bool
     {
-        // typeがNoteであることを確認
-        if (!isset($data['type']) || $data['type'] !== 'Note') {
+        // typeが投稿として扱うtypeであることを確認
+        if (Note::kindOf($data['type'] ?? null) === null) {
             return false;
         }
         
@@ -54,8 +55,8 @@ class Validator
             return false;
         }
         
-        // contentまたはsummaryのいずれかが存在することを確認
-        if (!isset($data['content']) && !isset($data['summary'])) {
+        // content・contentMap・summary・name（記事やイベントのタイトル）のいずれかが存在することを確認
+        if (!isset($data['content']) && !isset($data['contentMap']) && !isset($data['summary']) && !isset($data['name'])) {
             return false;
         }
         
@@ -88,6 +89,49 @@ class Validator
         return true;
     }
 
+    /**
+     * ハンドル（@user@host、user@host、acct:user@host）を分解する
+     *
+     * @param string $input
+     * @return array|null ['user' => string, 'host' => string]、ハンドルでない場合はnull
+     */
+    public static function parseAcctHandle(string $input): ?array
+    {
+        $input = trim($input);
+        
+        if (str_starts_with(strtolower($input), 'acct:')) {
+            $input = substr($input, 5);
+        }
+        
+        $pattern = '/^@?([a-z0-9_][a-z0-9_.\-]*)@((?:[a-z0-9](?:[a-z0-9\-]*[a-z0-9])?\.)+[a-z]{2,})$/i';
+        if (!preg_match($pattern, $input, $matches)) {
+            return null;
+        }
+        
+        return [
+            'user' => $matches[1],
+            'host' => strtolower($matches[2])
+        ];
+    }
+
+    /**
+     * ActivityPubのメディアタイプかどうかを判定する
+     *
+     * @param string $mediaType Content-Typeまたはリンクのtype
+     * @return bool
+     */
+    public static function isActivityPubMediaType(string $mediaType): bool
+    {
+        $mediaType = strtolower(trim($mediaType));
+        
+        if (str_starts_with($mediaType, 'application/activity+json')) {
+            return true;
+        }
+        
+        return str_starts_with($mediaType, 'application/ld+json')
+            && str_contains($mediaType, 'https://www.w3.org/ns/activitystreams');
+    }
+
     /**
      * URLの形式とセキュリティチェックを行い、問題があれば例外を投げる
      *
@@ -0,0 +1,275 @@
+/**
+ * ActivityPub Web Viewer - Service Worker
+ * アプリケーションのシェル（HTML・CSS・JS）を事前キャッシュしてオフラインでも起動できるようにし、
+ * アバター・添付画像は件数上限付き（LRU）でキャッシュ、api.php はネットワーク優先で処理する
+ */
+
+// シェルのファイルを変更したら上げる（古いキャッシュは activate 時に削除される）
+const CACHE_VERSION = 'v16';
+
+const SHELL_CACHE = `apwv-shell-${CACHE_VERSION}`;
+// opaque のレスポンスを保存していた旧キャッシュ（apwv-media）は activate 時に削除される
+const MEDIA_CACHE = 'apwv-media-v2';
+const API_CACHE = 'apwv-api';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'css/style.css',
+    'js/app.js',
+    'js/form-handler.js',
+    'js/api-client.js',
+    'js/post-renderer.js',
+    'js/post-filter.js',
+    'js/thread-view.js',
+    'js/lightbox.js',
+    'js/watch-list.js',
+    'js/history-panel.js',
+    'js/offline-cache.js',
+    'js/error-handler.js',
+    'js/loading-manager.js',
+    'js/sample-urls.js',
+    'js/sample-health.js',
+    'js/router.js'
+];
+
+// キャッシュする件数の上限（超えた分は最後に使われた日時が古いものから削除）
+const MEDIA_CACHE_MAX_ENTRIES = 300;
+const API_CACHE_MAX_ENTRIES = 50;
+
+// ApiClient が最後の再試行でのみ付けるヘッダー（途中の再試行ではキャッシュを返さない）
+const OFFLINE_FALLBACK_HEADER = 'X-Offline-Fallback';
+// キャッシュから返したレスポンスに付けるヘッダー（値は保存日時）
+const OFFLINE_COPY_HEADER = 'X-Offline-Copy';
+// オフライン時の代替に使わないため保存しない api.php のアクション（サンプルURLの確認）
+const UNCACHED_API_ACTIONS = ['probe_actor'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES.map(path => new Request(path, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('apwv-') && ![SHELL_CACHE, MEDIA_CACHE, API_CACHE].includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    
+    if (url.origin === self.location.origin && url.pathname.endsWith('/api.php')) {
+        if (request.method === 'POST') {
+            event.respondWith(handleApiRequest(event));
+        }
+        return;
+    }
+    
+    if (request.method !== 'GET') return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+        return;
+    }
+    
+    if (url.origin === self.location.origin) {
+        event.respondWith(handleShellRequest(event));
+        return;
+    }
+    
+    // リモートのアバター・添付画像・カスタム絵文字
+    if (request.destination === 'image') {
+        event.respondWith(handleMediaRequest(request));
+    }
+});
+
+/**
+ * ページの表示（オフライン時は事前キャッシュした index.html）
+ */
+async function handleNavigation(request) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const cached = await caches.match('index.html', { cacheName: SHELL_CACHE });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * シェルのファイル（stale-while-revalidate）
+ * キャッシュがあればすぐに返し、裏で取得し直してキャッシュを更新する
+ * CACHE_VERSION を上げ忘れても、次に開いたときには新しいファイルが使われる
+ */
+async function handleShellRequest(event) {
+    const request = event.request;
+    const url = new URL(request.url);
+    const cacheKey = url.origin + url.pathname;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(cacheKey);
+    
+    const network = fetch(request).then(async response => {
+        if (response.ok) {
+            await cache.put(cacheKey, response.clone());
+        }
+        return response;
+    });
+    
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    
+    return network;
+}
+
+/**
+ * リモート画像（キャッシュ優先、件数上限付き）
+ */
+async function handleMediaRequest(request) {
+    const cache = await caches.open(MEDIA_CACHE);
+    const cached = await cache.match(request);
+    
+    if (cached) {
+        // 最近使ったものとして末尾に移動
+        await cache.delete(request);
+        await cache.put(request, cached.clone());
+        return cached;
+    }
+    
+    // 通常の取得（no-cors）ではクロスオリジンの画像が opaque になり、失敗した応答と区別できないうえ、
+    // ブラウザは opaque の1件ごとに大きな容量を見積もるため、CORSで取得して成功した画像だけを保存する
+    let response;
+    try {
+        response = await fetch(request.url, { mode: 'cors', credentials: 'omit' });
+    } catch (error) {
+        // CORSに対応していないサーバーの画像は保存せずにそのまま返す
+        return fetch(request);
+    }
+    
+    if (response.ok) {
+        await cache.put(request, response.clone());
+        await trimCache(cache, MEDIA_CACHE_MAX_ENTRIES);
+    }
+    
+    return response;
+}
+
+/**
+ * api.php（ネットワーク優先）
+ * 成功したレスポンスはリクエスト内容ごとに保存し、ApiClient の最後の再試行でも接続できない場合にのみ返す
+ * それ以外の失敗はそのままページに返し、ApiClient の再試行に任せる
+ * 進捗のストリーミング（NDJSON）を止めないよう、保存は本文の受信完了を待たずにバックグラウンドで行う
+ */
+async function handleApiRequest(event) {
+    const request = event.request;
+    const allowFallback = request.headers.has(OFFLINE_FALLBACK_HEADER);
+    const cacheKey = await apiCacheKey(request.clone());
+    
+    try {
+        const response = await fetch(request);
+        
+        if (response.ok && cacheKey) {
+            event.waitUntil(storeApiResponse(cacheKey, response.clone()).catch(() => {}));
+        }
+        
+        return response;
+    } catch (error) {
+        if (allowFallback && cacheKey) {
+            const cache = await caches.open(API_CACHE);
+            const cached = await cache.match(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+        throw error;
+    }
+}
+
+/**
+ * api.php のレスポンスの保存（保存日時をヘッダーに記録）
+ * ストリーミング（NDJSON）はステータスが常に200のため、本文で成功したかを確認し、
+ * 失敗した結果で前回の成功したレスポンスを上書きしないようにする
+ * ストリーミングの場合は結果の行だけを通常のJSONのレスポンスとして保存する
+ */
+async function storeApiResponse(cacheKey, response) {
+    const result = parseApiResult(await response.text(), response.headers.get('Content-Type') || '');
+    if (!result?.success) return;
+    
+    const headers = new Headers(response.headers);
+    headers.set('Content-Type', 'application/json; charset=utf-8');
+    headers.set(OFFLINE_COPY_HEADER, new Date().toISOString());
+    
+    const cache = await caches.open(API_CACHE);
+    await cache.put(cacheKey, new Response(JSON.stringify(result), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    }));
+    await trimCache(cache, API_CACHE_MAX_ENTRIES);
+}
+
+/**
+ * api.php のレスポンス本文から結果（{ success, data | error }）を取り出す（取り出せない場合は null）
+ * NDJSON の場合は最後の空でない行が {"type":"result", ...} であれば、その行を結果とする
+ */
+function parseApiResult(body, contentType) {
+    try {
+        if (!contentType.includes('application/x-ndjson')) {
+            return JSON.parse(body);
+        }
+        
+        const lastLine = body.split('\n').filter(line => line.trim()).pop();
+        if (!lastLine) return null;
+        
+        const { type, ...result } = JSON.parse(lastLine);
+        return type === 'result' ? result : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * POSTの内容からキャッシュキー（GETのURL）を生成
+ * force_refresh の有無は同じ内容として扱い、保存しないアクションの場合は null を返す
+ */
+async function apiCacheKey(request) {
+    try {
+        const body = await request.json();
+        if (UNCACHED_API_ACTIONS.includes(body.action)) {
+            return null;
+        }
+        delete body.force_refresh;
+        
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(JSON.stringify(body)));
+        const hash = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        
+        return `${self.registration.scope}api.php?cache=${hash}`;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 件数上限を超えた古いエントリの削除（keys() は追加順に返る）
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}